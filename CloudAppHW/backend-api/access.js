@@ -0,0 +1,68 @@
+// access.js — 行程權限：建立者 + itinerary_collaborators（viewer < editor < owner）
+// 只有 status = 'accepted' 的邀請才算數；pending 的人還沒有任何權限。
+//
+//   roleFor(itineraryId, email) → 'owner' | 'editor' | 'viewer' | null
+//   canView / canEdit / canManage(itineraryId, email) → boolean
+//     canEdit   = editor 以上（PUT 行程、逐日計畫）
+//     canManage = owner（刪行程、管理共同編輯者、改可見度）
+//   canRead(itineraryId, email) → public / unlisted 誰都可以；private 要有角色（行程不存在也是 false）
+//   listFilter(email) → { sql, params }：列表 / 搜尋只列 public，加上自己的與共同編輯的行程
+// 被管理員隱藏（hidden_at）的行程對外就當作 private：只剩建立者和共同編輯者看得到
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+function createItineraryAccess({ pool }) {
+  async function roleFor(itineraryId, email) {
+    if (!email) return null;
+    const [rows] = await pool.execute(
+      `SELECT t.email AS creator, c.role
+       FROM itineraries i
+       JOIN travellers t ON i.traveller_id = t.id
+       LEFT JOIN itinerary_collaborators c
+         ON c.itinerary_id = i.id AND c.email = ? AND c.status = 'accepted'
+       WHERE i.id = ?`,
+      [email, itineraryId],
+    );
+    if (rows.length === 0) return null;
+    if (rows[0].creator === email) return 'owner';
+    return rows[0].role || null;
+  }
+
+  const atLeast = (min) => async (itineraryId, email) => {
+    const role = await roleFor(itineraryId, email);
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[min];
+  };
+
+  const canView = atLeast('viewer');
+
+  async function canRead(itineraryId, email) {
+    const [rows] = await pool.execute('SELECT visibility, hidden_at FROM itineraries WHERE id = ?', [itineraryId]);
+    if (rows.length === 0) return false;
+    if (rows[0].visibility !== 'private' && rows[0].hidden_at == null) return true;
+    return canView(itineraryId, email);
+  }
+
+  // 需要 itineraries 別名 i、travellers 別名 t
+  function listFilter(email) {
+    if (!email) return { sql: "(i.visibility = 'public' AND i.hidden_at IS NULL)", params: [] };
+    return {
+      sql: `((i.visibility = 'public' AND i.hidden_at IS NULL) OR t.email = ? OR EXISTS (
+              SELECT 1 FROM itinerary_collaborators c
+              WHERE c.itinerary_id = i.id AND c.email = ? AND c.status = 'accepted'))`,
+      params: [email, email],
+    };
+  }
+
+  return {
+    roleFor,
+    canView,
+    canEdit: atLeast('editor'),
+    canManage: atLeast('owner'),
+    canRead,
+    listFilter,
+  };
+}
+
+module.exports = { createItineraryAccess, ROLES, ROLE_RANK, VISIBILITIES };
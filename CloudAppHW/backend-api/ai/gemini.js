@@ -0,0 +1,115 @@
+// ai/gemini.js — Google AI Studio (Gemini) provider
+// 從 server.js 搬過來：lazy-init、候選模型輪流試、網路錯誤重試。
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+function summarizeGeminiError(err) {
+  const msg = err?.message || String(err);
+  const name = err?.name || 'Error';
+  const status = err?.status || err?.response?.status;
+  const code = err?.code;
+  const causeMsg = err?.cause?.message;
+  return { name, status, code, message: msg, cause: causeMsg };
+}
+
+function createGeminiProvider({ env = process.env, log }) {
+  let generativeModel = null;
+  let activeModel = null;
+  let initInFlight = null;
+
+  async function init() {
+    const apiKey = env.GEMINI_API_KEY;
+    if (!apiKey) { log('WARN', 'GEMINI_API_KEY missing. AI features disabled.'); return; }
+    const preferred = env.GEMINI_MODEL;
+    const candidates = preferred ? [preferred] : ['gemini-2.5-flash', 'gemini-2.0-flash-exp', 'gemini-1.5-flash'];
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    for (const m of candidates) {
+      try {
+        const model = genAI.getGenerativeModel({ model: m });
+        await model.countTokens({ contents: [{ role: 'user', parts: [{ text: 'ping' }] }] });
+        generativeModel = model;
+        activeModel = m;
+        log('INFO', '[Gemini] Initialized', { model: m });
+        return;
+      } catch (err) {
+        log('WARN', `[Gemini] init fail for ${m}`, summarizeGeminiError(err));
+      }
+    }
+    log('ERROR', '[Gemini] All candidate models failed to init. AI disabled.');
+  }
+
+  async function ensureReady() {
+    if (generativeModel) return true;
+    if (!initInFlight) {
+      initInFlight = (async () => {
+        try { await init(); } finally { initInFlight = null; }
+      })();
+    }
+    await initInFlight;
+    return !!generativeModel;
+  }
+
+  async function generateContentWithRetry(payload, tries = 2) {
+    let lastErr;
+    for (let i = 1; i <= tries; i++) {
+      try { return await generativeModel.generateContent(payload); }
+      catch (e) {
+        lastErr = e;
+        const net = /fetch failed|ETIMEDOUT|ENETUNREACH|ECONNRESET|aborted/i.test(e?.message || '');
+        log(net ? 'WARN' : 'ERROR', `[Gemini] attempt ${i} fail`, summarizeGeminiError(e));
+        if (!net) throw e;
+        await delay(500 * i);
+      }
+    }
+    throw lastErr;
+  }
+
+  return {
+    name: 'gemini',
+    isConfigured: () => !!env.GEMINI_API_KEY,
+    model: () => activeModel,
+    init,
+    ensureReady,
+    summarizeError: summarizeGeminiError,
+
+    async generate({ prompt, maxOutputTokens, temperature = 0.7, tries = 1 }) {
+      const result = await generateContentWithRetry({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens, temperature, responseMimeType: 'text/plain' },
+      }, tries);
+      return {
+        text: (result?.response?.text?.() ?? '').trim(),
+        finishReason: result?.response?.candidates?.[0]?.finishReason || null,
+        usage: result?.response?.usageMetadata || null,
+      };
+    },
+
+    // generateContentStream：連線建立後就不重試了（已經送出去的 token 收不回來），失敗交給上層
+    async generateStream({ prompt, maxOutputTokens, temperature = 0.7, onToken }) {
+      const result = await generativeModel.generateContentStream({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens, temperature, responseMimeType: 'text/plain' },
+      });
+      let text = '';
+      for await (const chunk of result.stream) {
+        let piece = '';
+        try { piece = chunk.text(); } catch { piece = ''; } // 被 safety 擋掉的 chunk 會丟錯
+        if (piece) {
+          text += piece;
+          onToken?.(piece);
+        }
+      }
+      const response = await result.response;
+      return {
+        text: text.trim(),
+        finishReason: response?.candidates?.[0]?.finishReason || null,
+        usage: response?.usageMetadata || null,
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider, summarizeGeminiError };
@@ -0,0 +1,37 @@
+// ai/index.js — AI suggestion provider 抽象層
+// provider 由 AI_PROVIDER 決定（gemini | openai | offline）；
+// 未設定時：有 GEMINI_API_KEY 用 gemini，有 OPENAI_BASE_URL 用 openai，否則 offline。
+//
+// 每個 provider 都提供同一組介面：
+//   name / model()                       → 給 log 與 aiSuggestions.model 用
+//   isConfigured()                       → 必要設定是否齊全
+//   init() / ensureReady()               → lazy-init，ensureReady() 回 true/false
+//   generate({ prompt, itinerary, maxOutputTokens, temperature, tries })
+//                                        → { text, finishReason, usage }（finishReason 用 Gemini 的字串）
+//   generateStream({ ...同上, onToken })  → 同 generate，但每收到一段文字就呼叫 onToken(piece)
+//   summarizeError(err)                  → 給結構化 log 的錯誤摘要
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiCompatibleProvider } = require('./openai-compatible');
+const { createOfflineProvider } = require('./offline');
+
+function resolveProviderName(env = process.env) {
+  const explicit = (env.AI_PROVIDER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  if (env.GEMINI_API_KEY) return 'gemini';
+  if (env.OPENAI_BASE_URL) return 'openai';
+  return 'offline';
+}
+
+function createAiProvider({ env = process.env, log } = {}) {
+  const name = resolveProviderName(env);
+  let provider;
+  if (name === 'gemini') provider = createGeminiProvider({ env, log });
+  else if (name === 'openai') provider = createOpenAiCompatibleProvider({ env, log });
+  else if (name === 'offline') provider = createOfflineProvider({ env, log });
+  else throw new Error(`Unknown AI_PROVIDER: ${name}`);
+  log('INFO', '[AI] provider selected', { provider: provider.name });
+  return provider;
+}
+
+module.exports = { createAiProvider, resolveProviderName };
@@ -0,0 +1,99 @@
+// ai/offline.js — 內建的離線 provider（不需要 API key，不連網）
+// 用模板 + 目的地字串 hash 組出建議：同樣的輸入永遠得到同樣的輸出，方便本機開發與測試。
+
+const crypto = require('crypto');
+
+const HIGHLIGHTS = [
+  'Walk the old town of {dest} early, before the crowds arrive.',
+  'Pick one viewpoint over {dest} for sunset and one museum for a rainy hour.',
+  'Join a free walking tour on day one to get your bearings in {dest}.',
+  'Explore a market and a waterfront or park area of {dest} on foot.',
+];
+const FOOD = [
+  'Ask locals for their favourite lunch spot and try the daily special.',
+  'Try a street-food snack and one traditional sit-down dinner.',
+  'Visit a bakery or café each morning and sample a regional dessert.',
+  'Book one dinner ahead; eat where the menu is in the local language.',
+];
+const SEASONS = {
+  winter: 'Pack warm layers, gloves and waterproof shoes; days are short.',
+  spring: 'Bring a light jacket and an umbrella; mornings can be cool.',
+  summer: 'Carry water, sunscreen and a hat; plan indoor breaks at midday.',
+  autumn: 'Pack layers and a rain jacket; evenings cool down quickly.',
+};
+const CUSTOMS = [
+  'Learn a few greetings and say thank you in the local language.',
+  'Check tipping habits and shop opening hours, which may differ from home.',
+  'Dress modestly for religious sites and keep your voice down on transit.',
+  'Carry some cash; smaller shops may not accept cards.',
+];
+
+function pick(list, seed, salt) {
+  const h = crypto.createHash('sha1').update(`${salt}:${seed}`).digest();
+  return list[h.readUInt32BE(0) % list.length];
+}
+
+function seasonOf(dateStr) {
+  const d = new Date(dateStr);
+  if (Number.isNaN(d.getTime())) return null;
+  const m = d.getMonth() + 1;
+  if (m === 12 || m <= 2) return 'winter';
+  if (m <= 5) return 'spring';
+  if (m <= 8) return 'summer';
+  return 'autumn';
+}
+
+function tripDays(start, end) {
+  const a = new Date(start), b = new Date(end);
+  if (Number.isNaN(a.getTime()) || Number.isNaN(b.getTime())) return null;
+  return Math.max(1, Math.round((b - a) / 86400000) + 1);
+}
+
+function buildOfflineSuggestion({ destination, start_date, end_date } = {}) {
+  const dest = String(destination || 'your destination').trim();
+  const seed = dest.toLowerCase();
+  const season = seasonOf(start_date);
+  const days = tripDays(start_date, end_date);
+  const header = [
+    `Trip to ${dest}`,
+    days ? `${days} day${days === 1 ? '' : 's'}` : null,
+    season,
+  ].filter(Boolean).join(' · ');
+
+  return [
+    header,
+    `- Must-see highlights: ${pick(HIGHLIGHTS, seed, 'h').replace('{dest}', dest)}`,
+    `- Must-try food: ${pick(FOOD, seed, 'f')}`,
+    `- Seasonal & packing tips: ${season ? SEASONS[season] : 'Check the forecast a few days before you leave.'}`,
+    `- Local customs: ${pick(CUSTOMS, seed, 'c')}`,
+    `- Events: Look up the local events calendar for ${start_date || 'your dates'} to ${end_date || 'the end of your trip'}.`,
+  ].join('\n');
+}
+
+function createOfflineProvider({ env = process.env, log }) {
+  const streamDelayMs = Math.max(0, parseInt(env.OFFLINE_STREAM_DELAY_MS || '25', 10) || 0);
+  return {
+    name: 'offline',
+    isConfigured: () => true,
+    model: () => 'offline-template-v1',
+    async init() { log('INFO', '[Offline AI] Initialized', { model: 'offline-template-v1' }); },
+    async ensureReady() { return true; },
+    summarizeError: (err) => ({ name: err?.name || 'Error', message: err?.message || String(err) }),
+
+    async generate({ itinerary }) {
+      return { text: buildOfflineSuggestion(itinerary), finishReason: 'STOP', usage: null };
+    },
+
+    // 一個字一個字吐出來，模擬真的模型在串流（OFFLINE_STREAM_DELAY_MS 調速度，0 = 不等）
+    async generateStream({ itinerary, onToken }) {
+      const text = buildOfflineSuggestion(itinerary);
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        onToken?.(piece);
+        if (streamDelayMs) await new Promise(r => setTimeout(r, streamDelayMs));
+      }
+      return { text, finishReason: 'STOP', usage: null };
+    },
+  };
+}
+
+module.exports = { createOfflineProvider, buildOfflineSuggestion };
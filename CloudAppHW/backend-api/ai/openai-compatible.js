@@ -0,0 +1,123 @@
+// ai/openai-compatible.js — 任何 OpenAI 相容的 /v1/chat/completions 端點
+// （Ollama、LM Studio、vLLM、llama.cpp server…），本機跑模型就不需要 Gemini key。
+// 用 undici 的 fetch：全域 dispatcher 已經是 IPv4，而且 http://localhost 也能打。
+
+const { fetch } = require('undici');
+
+// OpenAI 的 finish_reason 對齊成 Gemini 的字串，server.js 的重試邏輯只認一套
+const FINISH_REASONS = { stop: 'STOP', length: 'MAX_TOKENS', content_filter: 'SAFETY' };
+
+function summarizeHttpError(err) {
+  return { name: err?.name || 'Error', status: err?.status, code: err?.code, message: err?.message || String(err), cause: err?.cause?.message };
+}
+
+function createOpenAiCompatibleProvider({ env = process.env, log }) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const modelName = env.OPENAI_MODEL || 'llama3.1';
+  const timeoutMs = parseInt(env.OPENAI_TIMEOUT_MS || '30000', 10);
+  let ready = false;
+
+  async function send(path, { method = 'GET', body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (env.OPENAI_API_KEY) headers.Authorization = `Bearer ${env.OPENAI_API_KEY}`;
+    const res = await fetch(`${baseUrl}${path}`, {
+      method, headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status} from ${path}: ${(await res.text()).slice(0, 200)}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res;
+  }
+
+  async function request(path, opts) {
+    return (await send(path, opts)).json();
+  }
+
+  async function init() {
+    try {
+      await request('/models');
+      ready = true;
+      log('INFO', '[OpenAI-compat] Initialized', { baseUrl, model: modelName });
+    } catch (err) {
+      log('WARN', '[OpenAI-compat] init fail', { baseUrl, ...summarizeHttpError(err) });
+    }
+  }
+
+  return {
+    name: 'openai',
+    isConfigured: () => !!env.OPENAI_BASE_URL,
+    model: () => modelName,
+    init,
+    async ensureReady() {
+      if (!ready) await init();
+      return ready;
+    },
+    summarizeError: summarizeHttpError,
+
+    async generate({ prompt, maxOutputTokens, temperature = 0.7 }) {
+      const data = await request('/chat/completions', {
+        method: 'POST',
+        body: {
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxOutputTokens,
+          temperature,
+        },
+      });
+      const choice = data?.choices?.[0];
+      return {
+        text: (choice?.message?.content ?? '').trim(),
+        finishReason: FINISH_REASONS[choice?.finish_reason] || choice?.finish_reason || null,
+        usage: data?.usage || null,
+      };
+    },
+
+    // stream: true → 回來的是 SSE：每行 `data: {choices:[{delta:{content}}]}`，最後 `data: [DONE]`
+    async generateStream({ prompt, maxOutputTokens, temperature = 0.7, onToken }) {
+      const res = await send('/chat/completions', {
+        method: 'POST',
+        body: {
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxOutputTokens,
+          temperature,
+          stream: true,
+        },
+      });
+      const decoder = new TextDecoder();
+      let buf = '', text = '', finish = null, usage = null;
+      for await (const chunk of res.body) {
+        buf += decoder.decode(chunk, { stream: true });
+        let nl;
+        while ((nl = buf.indexOf('\n')) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (!data || data === '[DONE]') continue;
+          let json;
+          try { json = JSON.parse(data); } catch { continue; }
+          const choice = json?.choices?.[0];
+          const piece = choice?.delta?.content || '';
+          if (piece) {
+            text += piece;
+            onToken?.(piece);
+          }
+          if (choice?.finish_reason) finish = choice.finish_reason;
+          if (json?.usage) usage = json.usage;
+        }
+      }
+      return {
+        text: text.trim(),
+        finishReason: FINISH_REASONS[finish] || finish || null,
+        usage,
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAiCompatibleProvider };
@@ -0,0 +1,51 @@
+// ai/stream-hub.js — 同一個 instance 內，把 worker 產生中的 AI 文字轉給 SSE 連線
+// key 用 itineraryId。晚連上的人先拿 snapshot（目前為止的文字），之後收增量事件：
+//   { type: 'start', ...meta } / { type: 'token', text } / { type: 'reset' }（換下一次嘗試，從頭來）
+//   { type: 'done', ... } / { type: 'failed', error }（這次 job 嘗試失敗，之後可能會重試）
+// 不跨 instance：別的 instance 在產生時，SSE 端點會改看 job 狀態，結束時一次送完整結果。
+
+const { EventEmitter } = require('events');
+
+function createStreamHub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // 一個行程可能同時有很多人在看
+  const active = new Map();   // key → { text, startedAt, meta }
+
+  const emit = (key, evt) => emitter.emit(String(key), evt);
+
+  return {
+    begin(key, meta = {}) {
+      active.set(String(key), { text: '', startedAt: Date.now(), meta });
+      emit(key, { type: 'start', ...meta });
+    },
+    token(key, text) {
+      const s = active.get(String(key));
+      if (!s || !text) return;
+      s.text += text;
+      emit(key, { type: 'token', text });
+    },
+    reset(key) {
+      const s = active.get(String(key));
+      if (!s) return;
+      s.text = '';
+      emit(key, { type: 'reset' });
+    },
+    end(key, payload = {}) {
+      active.delete(String(key));
+      emit(key, { type: 'done', ...payload });
+    },
+    fail(key, error) {
+      active.delete(String(key));
+      emit(key, { type: 'failed', error: String(error?.message || error) });
+    },
+    snapshot(key) {
+      return active.get(String(key)) || null;
+    },
+    subscribe(key, listener) {
+      emitter.on(String(key), listener);
+      return () => emitter.off(String(key), listener);
+    },
+  };
+}
+
+module.exports = { createStreamHub };
@@ -0,0 +1,148 @@
+// calendar/ics.js — 產生 iCalendar（RFC 5545）文字
+// 行程是整天的活動：DTSTART / DTEND 用 VALUE=DATE，DTEND 是「結束日的隔天」（不含）。
+//
+//   tripEvent(itinerary, { stamp }) → VEVENT 行陣列（itinerary 的日期要是 'YYYY-MM-DD'）
+//   buildCalendar({ name, events })  → 整份 .ics 字串（CRLF、每行 75 bytes 折行）
+//   parseEvents(text)                → 讀 .ics 的 VEVENT：[{ summary, location, description, start, end, allDay }]
+//     start / end 是 'YYYY-MM-DD'；整天的活動 end 已經換回「含」的最後一天
+
+const PRODID = '-//HTWG Cloud App//Travel Itineraries//EN';
+const UID_DOMAIN = 'htwg-cloud-app';
+
+// TEXT 值要跳脫 \ ; , 與換行
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 超過 75 bytes 就折到下一行（下一行開頭一個空白）；不能把 UTF-8 字元切一半
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = out.length === 0 ? 75 : 74; // 續行的開頭空白也算
+    if (bytes + size > limit) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+const compactDate = (ymd) => String(ymd).replace(/-/g, '');
+
+function nextDay(ymd) {
+  const [y, m, d] = String(ymd).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+function prevDay(ymd) {
+  const [y, m, d] = String(ymd).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d - 1)).toISOString().slice(0, 10);
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// 'DTSTART;VALUE=DATE:20250101' → { name, params, value }
+function parseContentLine(line) {
+  let inQuote = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuote = !inQuote;
+    else if (line[i] === ':' && !inQuote) { colon = i; break; }
+  }
+  if (colon < 0) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const p of paramParts) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// 日期時間只取日期部分（YYYYMMDD...）；時區不換算，旅行行程以當地日期為準
+function icsDate(prop) {
+  const m = String(prop?.value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function parseEvents(text) {
+  // 先把折行接回來（CRLF / LF 後面接空白或 tab）
+  const lines = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') { current = {}; continue; }
+    if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (current && !current[prop.name]) current[prop.name] = prop;
+  }
+  return events.map((e) => {
+    const allDay = e.DTSTART?.params.VALUE === 'DATE' || /^\d{8}$/.test(e.DTSTART?.value || '');
+    const start = icsDate(e.DTSTART);
+    let end = icsDate(e.DTEND) || start;
+    if (allDay && e.DTEND && end && start && end > start) end = prevDay(end); // DTEND 不含
+    return {
+      summary: e.SUMMARY ? unescapeText(e.SUMMARY.value) : '',
+      location: e.LOCATION ? unescapeText(e.LOCATION.value) : '',
+      description: e.DESCRIPTION ? unescapeText(e.DESCRIPTION.value) : '',
+      start,
+      end,
+      allDay,
+    };
+  });
+}
+
+function utcStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function tripEvent(it, { stamp = Date.now() } = {}) {
+  const description = [it.short_description, it.detail_description].filter(Boolean).join('\n\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:itinerary-${it.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(stamp)}`,
+    `DTSTART;VALUE=DATE:${compactDate(it.start_date)}`,
+    `DTEND;VALUE=DATE:${compactDate(nextDay(it.end_date))}`,
+    `SUMMARY:${escapeText(it.title)}`,
+    `LOCATION:${escapeText(it.destination)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    it.visibility === 'public' ? 'CLASS:PUBLIC' : 'CLASS:PRIVATE',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ];
+}
+
+function buildCalendar({ name, events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flat(),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { tripEvent, buildCalendar, parseEvents, escapeText };
@@ -0,0 +1,52 @@
+// db.js — MySQL pool：自動 socket/host 切換 + 查詢計時/錯誤日誌
+// server.js 與 migrate.js CLI 共用同一份連線設定。
+
+const mysql = require('mysql2/promise');
+
+function createPool({ env = process.env, log, connectionLimit = 10 } = {}) {
+  const isCloudRun = !!env.INSTANCE_CONNECTION_NAME;
+  const basePoolCfg = {
+    user: env.DB_USER,
+    password: env.DB_PASSWORD,
+    database: env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit,
+    queueLimit: 0,
+    connectTimeout: 10000,
+    acquireTimeout: 10000,
+  };
+  const pool = mysql.createPool(
+    isCloudRun
+      ? { ...basePoolCfg, socketPath: `/cloudsql/${env.INSTANCE_CONNECTION_NAME}` }
+      : { ...basePoolCfg, host: env.DB_HOST, port: Number(env.DB_PORT || 3306) }
+  );
+
+  // 包一層 query/execute 計時
+  const _execute = pool.execute.bind(pool);
+  pool.execute = async (sql, params) => {
+    const t0 = Date.now();
+    try {
+      const res = await _execute(sql, params);
+      log('INFO', '[SQL execute ok]', { ms: Date.now() - t0, rows: Array.isArray(res?.[0]) ? res[0].length : undefined, sqlPreview: String(sql).slice(0, 120), paramCount: Array.isArray(params) ? params.length : 0 });
+      return res;
+    } catch (e) {
+      log('ERROR', '[SQL execute fail]', { ms: Date.now() - t0, code: e?.code, errno: e?.errno, sqlState: e?.sqlState, sqlMessage: e?.sqlMessage, sqlPreview: String(sql).slice(0, 200), params });
+      throw e;
+    }
+  };
+  const _query = pool.query.bind(pool);
+  pool.query = async (sql, params) => {
+    const t0 = Date.now();
+    try {
+      const res = await _query(sql, params);
+      log('INFO', '[SQL query ok]', { ms: Date.now() - t0, rows: Array.isArray(res?.[0]) ? res[0].length : undefined, sqlPreview: String(sql).slice(0, 120), paramCount: Array.isArray(params) ? params.length : 0 });
+      return res;
+    } catch (e) {
+      log('ERROR', '[SQL query fail]', { ms: Date.now() - t0, code: e?.code, errno: e?.errno, sqlState: e?.sqlState, sqlMessage: e?.sqlMessage, sqlPreview: String(sql).slice(0, 200), params });
+      throw e;
+    }
+  };
+  return pool;
+}
+
+module.exports = { createPool };
@@ -0,0 +1,145 @@
+// importers/index.js — 把上傳的檔案轉成「一列一個行程」的原始資料，欄位名稱跟 POST /api/itineraries 一樣
+//   parseImportFile({ originalname, mimetype, buffer }) → { format, rows: [{ line, data }] } 或 { error }
+//   line：錯誤訊息要指給使用者看的位置（JSON 第幾筆、CSV 第幾行、第幾個 VEVENT）
+// 欄位驗證不在這裡做，交給 itinerary-input.js（跟單筆新增同一套規則）。
+
+const { parseEvents } = require('../calendar/ics');
+
+const FORMATS = ['json', 'csv', 'ics'];
+
+// CSV 表頭常見的別名 → 我們的欄位
+const HEADER_ALIASES = {
+  name: 'title',
+  trip: 'title',
+  location: 'destination',
+  place: 'destination',
+  start: 'start_date',
+  from: 'start_date',
+  end: 'end_date',
+  to: 'end_date',
+  summary: 'short_description',
+  short: 'short_description',
+  description: 'detail_description',
+  details: 'detail_description',
+  notes: 'detail_description',
+};
+
+function detectFormat({ originalname = '', mimetype = '', buffer }) {
+  const ext = (originalname.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+  if (ext === 'ical' || ext === 'ifb') return 'ics';
+  if (FORMATS.includes(ext)) return ext;
+  if (/calendar/.test(mimetype)) return 'ics';
+  if (/json/.test(mimetype)) return 'json';
+  if (/csv/.test(mimetype)) return 'csv';
+  const head = buffer.toString('utf8', 0, 200).replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('BEGIN:VCALENDAR')) return 'ics';
+  if (head.startsWith('[') || head.startsWith('{')) return 'json';
+  return 'csv';
+}
+
+function parseJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+  // 接受 [ ... ]、{ itineraries: [ ... ] }（個人資料匯出的格式）或單一物件
+  const list = Array.isArray(doc) ? doc : Array.isArray(doc?.itineraries) ? doc.itineraries : doc && typeof doc === 'object' ? [doc] : null;
+  if (!list) return { error: 'JSON must be an array of itineraries.' };
+  return { rows: list.map((data, i) => ({ line: `#${i + 1}`, data: data && typeof data === 'object' ? data : {} })) };
+}
+
+// RFC 4180：雙引號包起來的欄位可以有逗號、換行，"" 代表一個引號
+function splitCsv(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+  return records.filter(r => r.fields.some(f => f.trim() !== ''));
+}
+
+// 德文 / 歐洲版 Excel 匯出的 CSV 用分號分隔：看表頭哪個比較多
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+}
+
+function parseCsv(text) {
+  const records = splitCsv(text, detectDelimiter(text));
+  if (records.length === 0) return { error: 'CSV is empty.' };
+  const headers = records[0].fields.map((h) => {
+    const key = h.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return HEADER_ALIASES[key] || key;
+  });
+  if (!headers.includes('title')) return { error: 'CSV needs a header row with at least a "title" column.' };
+  return {
+    rows: records.slice(1).map(({ line, fields }) => ({
+      line: `line ${line}`,
+      data: Object.fromEntries(headers.map((h, i) => [h, fields[i] ?? ''])),
+    })),
+  };
+}
+
+function parseIcs(text) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) return { error: 'Not an iCalendar file (missing BEGIN:VCALENDAR).' };
+  return {
+    rows: parseEvents(text).map((e, i) => {
+      // 短描述取 DESCRIPTION 第一段，太長就截到 80 字；其餘放長描述
+      const [first = '', ...rest] = e.description.split(/\n\s*\n/);
+      const fitsShort = first.length <= 80 && !first.includes('\n');
+      return {
+        line: `event #${i + 1}`,
+        data: {
+          title: e.summary,
+          destination: e.location,
+          start_date: e.start,
+          end_date: e.end,
+          short_description: fitsShort ? first : first.slice(0, 77).trimEnd() + '...',
+          detail_description: fitsShort ? rest.join('\n\n') : e.description,
+        },
+      };
+    }),
+  };
+}
+
+function parseImportFile(file) {
+  const format = detectFormat(file);
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const parsed = format === 'json' ? parseJson(text) : format === 'ics' ? parseIcs(text) : parseCsv(text);
+  return { format, ...parsed };
+}
+
+module.exports = { parseImportFile, FORMATS };
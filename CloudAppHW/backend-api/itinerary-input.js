@@ -0,0 +1,50 @@
+// itinerary-input.js — 新增 / 編輯行程時的欄位檢查（POST、PUT /api/itineraries 與 POST /api/itineraries/import 共用）
+//   parseItineraryInput(body) → { errors: [...], value }；errors 是空陣列才能寫入
+// 日期接受 YYYY-MM-DD、YYYY/MM/DD（列表顯示的格式）或 ISO 日期時間（只取日期），一律轉成 YYYY-MM-DD。
+
+const { VISIBILITIES } = require('./access');
+
+const SHORT_MAX = 80;
+const TITLE_MAX = 255;
+const DESTINATION_MAX = 255;
+
+function normalizeDate(value) {
+  const m = String(value ?? '').trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/);
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null; // 2月30日之類
+  return dt.toISOString().slice(0, 10);
+}
+
+function parseItineraryInput(body = {}) {
+  const str = (v) => (v == null ? '' : String(v)).trim();
+  const title = str(body.title);
+  const destination = str(body.destination);
+  const short_description = str(body.short_description);
+  const detail_description = body.detail_description == null ? '' : String(body.detail_description);
+  const visibility = str(body.visibility) || 'public';
+  const errors = [];
+
+  if (!title || !destination || !str(body.start_date) || !str(body.end_date)) {
+    errors.push('Missing required fields (title, destination, start_date, end_date).');
+  }
+  if (title.length > TITLE_MAX) errors.push(`Title too long (max ${TITLE_MAX}).`);
+  if (destination.length > DESTINATION_MAX) errors.push(`Destination too long (max ${DESTINATION_MAX}).`);
+  if (short_description.length > SHORT_MAX) errors.push(`Short description too long (max ${SHORT_MAX}).`);
+
+  const start_date = str(body.start_date) ? normalizeDate(body.start_date) : null;
+  const end_date = str(body.end_date) ? normalizeDate(body.end_date) : null;
+  if (str(body.start_date) && !start_date) errors.push('start_date must be a valid date (YYYY-MM-DD).');
+  if (str(body.end_date) && !end_date) errors.push('end_date must be a valid date (YYYY-MM-DD).');
+  if (start_date && end_date && end_date < start_date) errors.push('end_date must not be before start_date.');
+
+  if (!VISIBILITIES.includes(visibility)) errors.push(`Visibility must be one of: ${VISIBILITIES.join(', ')}.`);
+
+  return {
+    errors,
+    value: { title, destination, start_date, end_date, short_description, detail_description, visibility },
+  };
+}
+
+module.exports = { parseItineraryInput, normalizeDate };
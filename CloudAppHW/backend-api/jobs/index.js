@@ -0,0 +1,7 @@
+// jobs/index.js — 背景工作：queue（存放 / 領取）+ worker（loop、重試、dead-letter）
+// 目前只有 AI 建議會用到，job type 與 handler 在 server.js 註冊。
+
+const { createJobQueue } = require('./queue');
+const { createJobWorker } = require('./worker');
+
+module.exports = { createJobQueue, createJobWorker };
@@ -0,0 +1,133 @@
+// jobs/queue.js — ai_jobs 資料表上的工作佇列（MySQL）
+// worker.js 只依賴下面這組介面，要換別的 store（Redis、Cloud Tasks…）實作同樣的方法就好：
+//   enqueue({ itineraryId, type, payload, maxAttempts, delayMs }) → job
+//     同行程同 type 已經有在排隊（queued）的就沿用那筆、payload 換成新的；running 的不算（它可能用的是舊資料）
+//     沿用時當成新請求：run_at 取兩者較早的、attempts 歸零（不繼承延後的 fallback 或重試 backoff）
+//   claim(workerId, leaseMs)          → 一筆可執行的 job（已標成 running、attempts + 1）或 null
+//   complete(id, result)              → done
+//   retry(id, error, runAt)           → 回到 queued，run_at 延後
+//   bury(id, error)                   → dead（不再重試）
+//   latestForItinerary(itineraryId, { type, limit }) → 最近的 jobs（新到舊）
+
+function createJobQueue({ pool, log, defaultMaxAttempts = 5 }) {
+  const toJob = (r) => ({
+    id: Number(r.id),
+    itinerary_id: Number(r.itinerary_id),
+    type: r.type,
+    status: r.status,
+    attempts: Number(r.attempts),
+    max_attempts: Number(r.max_attempts),
+    run_at: Number(r.run_at),
+    locked_by: r.locked_by,
+    locked_until: r.locked_until == null ? null : Number(r.locked_until),
+    last_error: r.last_error,
+    payload: typeof r.payload === 'string' ? JSON.parse(r.payload) : (r.payload || {}),
+    result: typeof r.result === 'string' ? JSON.parse(r.result) : (r.result || null),
+    created_at: Number(r.created_at),
+    updated_at: Number(r.updated_at),
+  });
+
+  async function findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM ai_jobs WHERE id = ?', [id]);
+    return rows.length ? toJob(rows[0]) : null;
+  }
+
+  async function enqueue({ itineraryId, type, payload = {}, maxAttempts = defaultMaxAttempts, delayMs = 0 }) {
+    const now = Date.now();
+    const [waiting] = await pool.execute(
+      `SELECT id FROM ai_jobs WHERE itinerary_id = ? AND type = ? AND status = 'queued'
+       ORDER BY id DESC LIMIT 1`,
+      [itineraryId, type],
+    );
+    if (waiting.length) {
+      const id = Number(waiting[0].id);
+      await pool.execute(
+        `UPDATE ai_jobs
+         SET payload = ?, run_at = LEAST(run_at, ?), attempts = 0, max_attempts = ?, last_error = NULL, updated_at = ?
+         WHERE id = ? AND status = 'queued'`,
+        [JSON.stringify(payload), now + delayMs, maxAttempts, now, id],
+      );
+      log('INFO', '[JOBS] enqueue: merged into queued job', { id, itineraryId, type, delayMs });
+      return findById(id);
+    }
+    const [result] = await pool.execute(
+      `INSERT INTO ai_jobs (itinerary_id, type, status, attempts, max_attempts, run_at, payload, created_at, updated_at)
+       VALUES (?, ?, 'queued', 0, ?, ?, ?, ?, ?)`,
+      [itineraryId, type, maxAttempts, now + delayMs, JSON.stringify(payload), now, now],
+    );
+    log('INFO', '[JOBS] enqueued', { id: result.insertId, itineraryId, type });
+    return findById(result.insertId);
+  }
+
+  // SKIP LOCKED：多個 instance 同時 claim 時各拿各的，不會互等
+  async function claim(workerId, leaseMs) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const now = Date.now();
+      const [rows] = await conn.execute(
+        `SELECT id FROM ai_jobs
+         WHERE (status = 'queued' AND run_at <= ?) OR (status = 'running' AND locked_until < ?)
+         ORDER BY run_at ASC, id ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED`,
+        [now, now],
+      );
+      if (rows.length === 0) {
+        await conn.commit();
+        return null;
+      }
+      const id = rows[0].id;
+      await conn.execute(
+        `UPDATE ai_jobs SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_until = ?, updated_at = ?
+         WHERE id = ?`,
+        [workerId, now + leaseMs, now, id],
+      );
+      await conn.commit();
+      return findById(id);
+    } catch (e) {
+      await conn.rollback().catch(() => {});
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+
+  async function complete(id, result = null) {
+    await pool.execute(
+      `UPDATE ai_jobs SET status = 'done', result = ?, locked_by = NULL, locked_until = NULL, last_error = NULL, updated_at = ?
+       WHERE id = ?`,
+      [JSON.stringify(result), Date.now(), id],
+    );
+  }
+
+  async function retry(id, error, runAt) {
+    await pool.execute(
+      `UPDATE ai_jobs SET status = 'queued', run_at = ?, last_error = ?, locked_by = NULL, locked_until = NULL, updated_at = ?
+       WHERE id = ?`,
+      [runAt, String(error).slice(0, 2000), Date.now(), id],
+    );
+  }
+
+  async function bury(id, error) {
+    await pool.execute(
+      `UPDATE ai_jobs SET status = 'dead', last_error = ?, locked_by = NULL, locked_until = NULL, updated_at = ?
+       WHERE id = ?`,
+      [String(error).slice(0, 2000), Date.now(), id],
+    );
+  }
+
+  async function latestForItinerary(itineraryId, { type = null, limit = 10 } = {}) {
+    const n = Math.max(1, Math.min(50, parseInt(limit, 10) || 10));
+    const [rows] = await pool.execute(
+      `SELECT * FROM ai_jobs WHERE itinerary_id = ? ${type ? 'AND type = ?' : ''}
+       ORDER BY id DESC LIMIT ${n}`,
+      type ? [itineraryId, type] : [itineraryId],
+    );
+    return rows.map(toJob);
+  }
+
+  return { name: 'mysql', enqueue, claim, complete, retry, bury, latestForItinerary };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,110 @@
+// jobs/worker.js — 從 queue 拿 job 來跑的背景 loop
+// handlers：{ [type]: { run(job) → result, onDead?(job, err) } }
+// run 丟錯就重試：等待時間 = AI_JOB_BACKOFF_MS × 2^(attempts-1)（±20% jitter，最多 AI_JOB_MAX_BACKOFF_MS），
+// attempts 到 max_attempts 還失敗就 bury（dead）並呼叫 onDead。
+// Cloud Run 上 instance 被降速或回收時，job 還在資料表裡，下一個醒著的 worker 會接手。
+
+function intEnv(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function createJobWorker({ queue, handlers, log, env = process.env, workerId }) {
+  const pollMs = intEnv(env.AI_JOB_POLL_MS, 5000);
+  const leaseMs = intEnv(env.AI_JOB_LEASE_MS, 5 * 60 * 1000);
+  const backoffMs = intEnv(env.AI_JOB_BACKOFF_MS, 30 * 1000);
+  const maxBackoffMs = intEnv(env.AI_JOB_MAX_BACKOFF_MS, 30 * 60 * 1000);
+  const id = workerId || `${env.K_REVISION || 'local'}-${process.pid}`;
+
+  let stopped = true;
+  let busy = false;
+  let timer = null;
+
+  function backoffFor(attempts) {
+    const base = Math.min(backoffMs * 2 ** Math.max(0, attempts - 1), maxBackoffMs);
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+  }
+
+  async function dead(handler, job, err) {
+    await queue.bury(job.id, String(err?.message || err));
+    log('ERROR', '[JOBS] dead', { id: job.id, type: job.type, itineraryId: job.itinerary_id, attempts: job.attempts, error: String(err?.message || err) });
+    if (handler?.onDead) {
+      await Promise.resolve(handler.onDead(job, err)).catch(e => log('ERROR', '[JOBS] onDead failed', { id: job.id, error: String(e?.message || e) }));
+    }
+  }
+
+  // 回傳 true 代表有拿到 job（不管成功失敗），呼叫端會接著拿下一筆
+  async function runOne() {
+    const job = await queue.claim(id, leaseMs);
+    if (!job) return false;
+    const handler = handlers[job.type];
+    if (!handler) {
+      await dead(null, job, new Error(`No handler for job type "${job.type}"`));
+      return true;
+    }
+    // lease 過期被撿回來，但次數已經用完（上一個 worker 跑到一半就消失了）
+    if (job.attempts > job.max_attempts) {
+      await dead(handler, job, new Error(job.last_error || 'Worker lost during last attempt'));
+      return true;
+    }
+
+    const t0 = Date.now();
+    log('INFO', '[JOBS] run', { id: job.id, type: job.type, itineraryId: job.itinerary_id, attempt: job.attempts, max: job.max_attempts });
+    try {
+      const result = await handler.run(job);
+      await queue.complete(job.id, result ?? null);
+      log('INFO', '[JOBS] done', { id: job.id, type: job.type, itineraryId: job.itinerary_id, ms: Date.now() - t0 });
+    } catch (err) {
+      if (job.attempts >= job.max_attempts) {
+        await dead(handler, job, err);
+      } else {
+        const delay = backoffFor(job.attempts);
+        await queue.retry(job.id, String(err?.message || err), Date.now() + delay);
+        log('WARN', '[JOBS] retry scheduled', { id: job.id, type: job.type, attempt: job.attempts, inMs: delay, error: String(err?.message || err) });
+      }
+    }
+    return true;
+  }
+
+  async function tick() {
+    if (stopped || busy) return;
+    busy = true;
+    try {
+      // 有工作就連續做完，沒有再睡 pollMs
+      while (!stopped && await runOne()) { /* keep draining */ }
+    } catch (err) {
+      log('ERROR', '[JOBS] worker tick failed', { error: String(err?.message || err) });
+    } finally {
+      busy = false;
+    }
+    schedule(pollMs);
+  }
+
+  function schedule(ms) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, ms);
+    timer.unref?.();
+  }
+
+  return {
+    id,
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      log('INFO', '[JOBS] worker started', { id, store: queue.name, pollMs, leaseMs, backoffMs });
+      schedule(0);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      log('INFO', '[JOBS] worker stopped', { id });
+    },
+    // 剛 enqueue 完呼叫，不用等下一輪 poll
+    kick() {
+      if (!stopped && !busy) schedule(0);
+    },
+  };
+}
+
+module.exports = { createJobWorker };
@@ -0,0 +1,18 @@
+// logger.js — 統一結構化日誌（server.js、migrate.js CLI 共用）
+// Cloud Run 會吃 JSON 格式（Cloud Logging）
+
+function log(severity, msg, meta = {}) {
+  const rec = { severity, message: msg, ts: new Date().toISOString(), ...meta };
+  if (severity === 'ERROR') console.error(JSON.stringify(rec));
+  else if (severity === 'WARN') console.warn(JSON.stringify(rec));
+  else console.log(JSON.stringify(rec));
+}
+
+// 網址裡的秘密不能進日誌：日曆訂閱網址 /api/calendar/feed/<token>.ics 的 token 本身就是讀取權限
+// （[REQ] / [RES] / 限流的 log 都會印網址，一律先經過這裡）
+const SECRET_PATH_RE = /(\/api\/calendar\/feed\/)(?!rotate(?:[/?]|$))[^/.?]+/;
+function redactUrl(url) {
+  return String(url ?? '').replace(SECRET_PATH_RE, '$1***');
+}
+
+module.exports = { log, redactUrl };
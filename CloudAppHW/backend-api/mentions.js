@@ -0,0 +1,17 @@
+// mentions.js — 留言裡的 @提及：個人頁是用 email 開的（?profile=<email>），所以 @ 後面接的就是 email
+//   parseMentions(text) → 去重、轉小寫的 email 陣列（最多 MAX_MENTIONS 個，多的忽略）
+// 前端 components/CommentItem.vue（MENTION_RE）用同一條規則把 @email 變成連結，兩邊改的時候要一起改。
+
+const MENTION_RE = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+const MAX_MENTIONS = 10;
+
+function parseMentions(text) {
+  const out = new Set();
+  for (const m of String(text || '').matchAll(MENTION_RE)) {
+    out.add(m[2].toLowerCase());
+    if (out.size >= MAX_MENTIONS) break;
+  }
+  return [...out];
+}
+
+module.exports = { parseMentions, MENTION_RE };
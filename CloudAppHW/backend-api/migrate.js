@@ -0,0 +1,158 @@
+// migrate.js — MySQL schema migration runner
+// migrations/NNN_name.js 依編號順序執行，已套用的版本記在 schema_migrations。
+// 每個 migration 匯出 { up, down }：可以是 SQL 字串陣列，或 async (conn) => {} 函式。
+//
+// CLI：
+//   node migrate.js status        列出每個版本是否已套用
+//   node migrate.js up [--to N]   套用所有（或到版本 N 為止）尚未套用的 migration
+//   node migrate.js down [steps]  回滾最後 steps 個（預設 1）
+// server.js 在 MIGRATE_ON_START=true 時會在 listen 前跑一次 up。
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_S = 60;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter(f => /^\d+_.+\.js$/.test(f)).sort();
+  const seen = new Map();
+  return files.map((file) => {
+    const [, num, name] = file.match(/^(\d+)_(.+)\.js$/);
+    const version = Number(num);
+    if (seen.has(version)) throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} / ${file}`);
+    seen.set(version, file);
+    const mod = require(path.join(dir, file));
+    if (!mod.up || !mod.down) throw new Error(`Migration ${file} must export up and down`);
+    return { version, name, file, up: mod.up, down: mod.down };
+  }).sort((a, b) => a.version - b.version);
+}
+
+async function runStep(conn, step) {
+  if (typeof step === 'function') return step(conn);
+  for (const sql of step) await conn.query(sql);
+}
+
+function createMigrator({ pool, log, dir = MIGRATIONS_DIR }) {
+  const migrations = loadMigrations(dir);
+
+  // 多個 Cloud Run instance 同時啟動時，用 MySQL named lock 排隊，只會有一個真的在跑
+  async function withLock(fn) {
+    const conn = await pool.getConnection();
+    try {
+      const [[{ got }]] = await conn.query('SELECT GET_LOCK(?, ?) AS got', [LOCK_NAME, LOCK_TIMEOUT_S]);
+      if (got !== 1) throw new Error(`Could not acquire migration lock within ${LOCK_TIMEOUT_S}s`);
+      try {
+        await conn.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INT PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`);
+        return await fn(conn);
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+      }
+    } finally {
+      conn.release();
+    }
+  }
+
+  async function appliedVersions(conn) {
+    const [rows] = await conn.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(r => [Number(r.version), r]));
+  }
+
+  async function status() {
+    return withLock(async (conn) => {
+      const applied = await appliedVersions(conn);
+      const out = migrations.map(m => ({
+        version: m.version, name: m.name,
+        state: applied.has(m.version) ? 'applied' : 'pending',
+        applied_at: applied.get(m.version)?.applied_at || null,
+      }));
+      // DB 裡有、但檔案不見了（例如回到舊版程式）
+      for (const [version, row] of applied) {
+        if (!migrations.some(m => m.version === version)) {
+          out.push({ version, name: row.name, state: 'missing', applied_at: row.applied_at });
+        }
+      }
+      return out.sort((a, b) => a.version - b.version);
+    });
+  }
+
+  async function up({ to } = {}) {
+    return withLock(async (conn) => {
+      const applied = await appliedVersions(conn);
+      const pending = migrations.filter(m => !applied.has(m.version) && (to === undefined || m.version <= to));
+      if (pending.length === 0) log('INFO', '[Migrate] up: nothing to apply', { current: Math.max(0, ...applied.keys()) });
+      for (const m of pending) {
+        const t0 = Date.now();
+        log('INFO', '[Migrate] up start', { version: m.version, name: m.name });
+        // MySQL 的 DDL 會 implicit commit，沒辦法包 transaction；失敗就停在這一版，修好再跑
+        await runStep(conn, m.up);
+        await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [m.version, m.name]);
+        log('INFO', '[Migrate] up done', { version: m.version, name: m.name, ms: Date.now() - t0 });
+      }
+      return pending.map(m => m.version);
+    });
+  }
+
+  async function down({ steps = 1 } = {}) {
+    return withLock(async (conn) => {
+      const applied = [...(await appliedVersions(conn)).keys()].sort((a, b) => b - a).slice(0, steps);
+      for (const version of applied) {
+        const m = migrations.find(x => x.version === version);
+        if (!m) throw new Error(`Cannot roll back version ${version}: migration file is missing`);
+        const t0 = Date.now();
+        log('INFO', '[Migrate] down start', { version: m.version, name: m.name });
+        await runStep(conn, m.down);
+        await conn.query('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+        log('INFO', '[Migrate] down done', { version: m.version, name: m.name, ms: Date.now() - t0 });
+      }
+      return applied;
+    });
+  }
+
+  return { migrations, status, up, down };
+}
+
+module.exports = { createMigrator, loadMigrations };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CLI
+if (require.main === module) {
+  require('dotenv').config();
+  const { log } = require('./logger');
+  const { createPool } = require('./db');
+
+  const [cmd = 'status', ...rest] = process.argv.slice(2);
+  const toIdx = rest.indexOf('--to');
+  const to = toIdx >= 0 ? Number(rest[toIdx + 1]) : undefined;
+  const steps = cmd === 'down' && rest[0] ? Number(rest[0]) : 1;
+
+  // CLI 不需要每條 SQL 的計時 log，只保留 WARN/ERROR
+  const quietLog = (severity, msg, meta) => { if (severity !== 'INFO' || !msg.startsWith('[SQL')) log(severity, msg, meta); };
+  const pool = createPool({ log: quietLog, connectionLimit: 2 });
+  const migrator = createMigrator({ pool, log: quietLog });
+
+  (async () => {
+    if (cmd === 'status') {
+      console.table((await migrator.status()).map(r => ({ ...r, applied_at: r.applied_at ? new Date(r.applied_at).toISOString() : '' })));
+    } else if (cmd === 'up') {
+      if (to !== undefined && !Number.isInteger(to)) throw new Error('--to expects a version number');
+      await migrator.up({ to });
+    } else if (cmd === 'down') {
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('down expects a positive number of steps');
+      await migrator.down({ steps });
+    } else {
+      throw new Error(`Unknown command "${cmd}". Use: status | up [--to N] | down [steps]`);
+    }
+  })()
+    .then(() => pool.end())
+    .catch(async (err) => {
+      log('ERROR', '[Migrate] failed', { cmd, error: String(err?.message || err) });
+      await pool.end().catch(() => {});
+      process.exit(1);
+    });
+}
@@ -0,0 +1,27 @@
+// 001 — travellers / itineraries（原本 InstallScript.txt、Terraform、entrypoint.sh 各貼一份的 DDL）
+// 用 IF NOT EXISTS：舊資料庫已經手動建好表的話，這支只會被記錄成 applied。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS travellers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS itineraries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      traveller_id INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      destination VARCHAR(255) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      short_description VARCHAR(80) NOT NULL,
+      detail_description TEXT,
+      FOREIGN KEY (traveller_id) REFERENCES travellers(id)
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS itineraries',
+    'DROP TABLE IF EXISTS travellers',
+  ],
+};
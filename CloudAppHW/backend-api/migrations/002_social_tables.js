@@ -0,0 +1,26 @@
+// 002 — likes / comments 的 MySQL 版（SOCIAL_STORE=mysql 時使用），FK cascade 跟著行程一起刪
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS itinerary_likes (
+      itinerary_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      liked_at BIGINT NOT NULL,
+      PRIMARY KEY (itinerary_id, email),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS itinerary_comments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      itinerary_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      text TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      INDEX idx_comments_itinerary (itinerary_id, created_at),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS itinerary_comments',
+    'DROP TABLE IF EXISTS itinerary_likes',
+  ],
+};
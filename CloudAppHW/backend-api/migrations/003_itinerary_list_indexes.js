@@ -0,0 +1,14 @@
+// 003 — 列表分頁用的索引：ORDER BY start_date, id（全部）與 traveller_id + start_date, id（單一旅人）
+
+module.exports = {
+  up: [
+    'CREATE INDEX idx_itineraries_start ON itineraries (start_date, id)',
+    'CREATE INDEX idx_itineraries_traveller_start ON itineraries (traveller_id, start_date, id)',
+  ],
+  down: [
+    'DROP INDEX idx_itineraries_start ON itineraries',
+    // traveller_id 的 FK 需要有索引，先補一個再拿掉複合索引
+    'CREATE INDEX idx_itineraries_traveller ON itineraries (traveller_id)',
+    'DROP INDEX idx_itineraries_traveller_start ON itineraries',
+  ],
+};
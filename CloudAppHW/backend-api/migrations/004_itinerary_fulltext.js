@@ -0,0 +1,10 @@
+// 004 — /api/itineraries/search 用的 FULLTEXT 索引（InnoDB，預設 parser）
+
+module.exports = {
+  up: [
+    'ALTER TABLE itineraries ADD FULLTEXT INDEX ft_itineraries_text (title, destination, short_description, detail_description)',
+  ],
+  down: [
+    'ALTER TABLE itineraries DROP INDEX ft_itineraries_text',
+  ],
+};
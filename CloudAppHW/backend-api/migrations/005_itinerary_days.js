@@ -0,0 +1,29 @@
+// 005 — 行程的逐日計畫：days（第幾天 / 日期 / 標題）與 activities（時間 / 地點 / 備註），都有 position 排序
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS itinerary_days (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      itinerary_id INT NOT NULL,
+      position INT NOT NULL,
+      day_date DATE NULL,
+      title VARCHAR(255) NOT NULL DEFAULT '',
+      INDEX idx_days_itinerary (itinerary_id, position),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS itinerary_activities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      day_id INT NOT NULL,
+      position INT NOT NULL,
+      start_time TIME NULL,
+      place VARCHAR(255) NOT NULL DEFAULT '',
+      notes TEXT,
+      INDEX idx_activities_day (day_id, position),
+      FOREIGN KEY (day_id) REFERENCES itinerary_days(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS itinerary_activities',
+    'DROP TABLE IF EXISTS itinerary_days',
+  ],
+};
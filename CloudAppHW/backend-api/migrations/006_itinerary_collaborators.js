@@ -0,0 +1,22 @@
+// 006 — 行程共同編輯者：viewer / editor / owner，邀請（pending）→ 接受（accepted）
+// 建立者（itineraries.traveller_id）本身不在這張表裡，永遠視為 owner。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS itinerary_collaborators (
+      itinerary_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      role ENUM('viewer', 'editor', 'owner') NOT NULL DEFAULT 'viewer',
+      status ENUM('pending', 'accepted') NOT NULL DEFAULT 'pending',
+      invited_by VARCHAR(255) NOT NULL,
+      invited_at BIGINT NOT NULL,
+      accepted_at BIGINT NULL,
+      PRIMARY KEY (itinerary_id, email),
+      INDEX idx_collaborators_email (email, status),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS itinerary_collaborators',
+  ],
+};
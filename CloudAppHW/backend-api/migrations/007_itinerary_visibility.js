@@ -0,0 +1,12 @@
+// 007 — 行程可見度：private（只有建立者與共同編輯者）/ unlisted（知道連結就能看）/ public
+// 既有行程原本就是大家都看得到，所以預設 public。
+
+module.exports = {
+  up: [
+    `ALTER TABLE itineraries
+       ADD COLUMN visibility ENUM('private', 'unlisted', 'public') NOT NULL DEFAULT 'public' AFTER detail_description`,
+  ],
+  down: [
+    'ALTER TABLE itineraries DROP COLUMN visibility',
+  ],
+};
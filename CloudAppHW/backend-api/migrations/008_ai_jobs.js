@@ -0,0 +1,30 @@
+// 008 — AI 建議的持久化工作佇列（取代 POST /api/itineraries 裡的 fire-and-forget）
+// queued → running → done；失敗就回到 queued、run_at 往後延（backoff），超過 max_attempts 變 dead。
+// running 的 lease（locked_until）過期代表 instance 被回收，其他 worker 可以接手。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS ai_jobs (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      itinerary_id INT NOT NULL,
+      type VARCHAR(32) NOT NULL,
+      status ENUM('queued', 'running', 'done', 'dead') NOT NULL DEFAULT 'queued',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL,
+      run_at BIGINT NOT NULL,
+      locked_by VARCHAR(64) NULL,
+      locked_until BIGINT NULL,
+      last_error TEXT NULL,
+      payload JSON NULL,
+      result JSON NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      INDEX idx_ai_jobs_ready (status, run_at),
+      INDEX idx_ai_jobs_itinerary (itinerary_id, id),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS ai_jobs',
+  ],
+};
@@ -0,0 +1,52 @@
+// 009 — 行程的預算（每個分類一筆計畫金額）與實際花費，各自記幣別
+// exchange_rates 是本地維護的匯率表（不接即時匯率服務）：rate = 1 EUR 換多少該幣別。
+// 要更新匯率就直接改這張表，例如：
+//   UPDATE exchange_rates SET rate = 1.0850, updated_at = UNIX_TIMESTAMP() * 1000 WHERE currency = 'USD';
+
+const SEED_RATES = [
+  ['EUR', 1], ['USD', 1.08], ['GBP', 0.85], ['CHF', 0.95], ['JPY', 162],
+  ['TWD', 34.5], ['CNY', 7.8], ['HKD', 8.4], ['KRW', 1450], ['THB', 38.5],
+  ['SGD', 1.45], ['AUD', 1.65], ['CAD', 1.48], ['CZK', 25.2], ['PLN', 4.3],
+  ['SEK', 11.4], ['NOK', 11.6], ['DKK', 7.46], ['HUF', 395], ['TRY', 37],
+];
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS exchange_rates (
+      currency CHAR(3) PRIMARY KEY,
+      rate DECIMAL(18, 6) NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    `INSERT IGNORE INTO exchange_rates (currency, rate, updated_at) VALUES
+      ${SEED_RATES.map(([c, r]) => `('${c}', ${r}, ${Date.UTC(2025, 0, 1)})`).join(',\n      ')}`,
+    `CREATE TABLE IF NOT EXISTS itinerary_budgets (
+      itinerary_id INT NOT NULL,
+      category VARCHAR(32) NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      note VARCHAR(255) NOT NULL DEFAULT '',
+      updated_by VARCHAR(255) NULL,
+      updated_at BIGINT NOT NULL,
+      PRIMARY KEY (itinerary_id, category),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS itinerary_expenses (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      itinerary_id INT NOT NULL,
+      category VARCHAR(32) NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      description VARCHAR(255) NOT NULL DEFAULT '',
+      spent_on DATE NULL,
+      created_by VARCHAR(255) NULL,
+      created_at BIGINT NOT NULL,
+      INDEX idx_expenses_itinerary (itinerary_id, spent_on),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS itinerary_expenses',
+    'DROP TABLE IF EXISTS itinerary_budgets',
+    'DROP TABLE IF EXISTS exchange_rates',
+  ],
+};
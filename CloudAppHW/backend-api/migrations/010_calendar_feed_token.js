@@ -0,0 +1,13 @@
+// 010 — 每個旅人一組日曆訂閱用的秘密 token（/api/calendar/feed/:token.ics 不用登入，靠 token 辨識）
+// NULL = 還沒開過訂閱連結；換 token 就等於撤銷舊的連結。
+
+module.exports = {
+  up: [
+    `ALTER TABLE travellers
+       ADD COLUMN calendar_token VARCHAR(64) NULL,
+       ADD UNIQUE INDEX uq_travellers_calendar_token (calendar_token)`,
+  ],
+  down: [
+    'ALTER TABLE travellers DROP INDEX uq_travellers_calendar_token, DROP COLUMN calendar_token',
+  ],
+};
@@ -0,0 +1,23 @@
+// 011 — 個人資料匯出（GDPR 第 15 / 20 條）的工作紀錄
+// queued → running → ready（ZIP 已經放在 storage 的 storage_key）/ failed；過了 expires_at 檔案會被刪掉、變 expired。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS data_exports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      traveller_id INT NOT NULL,
+      status ENUM('queued', 'running', 'ready', 'failed', 'expired') NOT NULL DEFAULT 'queued',
+      storage_key VARCHAR(255) NULL,
+      size_bytes BIGINT NULL,
+      error TEXT NULL,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      expires_at BIGINT NULL,
+      INDEX idx_exports_traveller (traveller_id, created_at),
+      FOREIGN KEY (traveller_id) REFERENCES travellers(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS data_exports',
+  ],
+};
@@ -0,0 +1,14 @@
+// 012 — 旅人個人檔案：自我介紹、所在城市（顯示名稱沿用原本的 name 欄位）
+// updated_at 是 epoch ms；NULL = 沒改過（只有 /api/travellers/ensure 建立時的預設值）
+
+module.exports = {
+  up: [
+    `ALTER TABLE travellers
+       ADD COLUMN bio VARCHAR(500) NULL,
+       ADD COLUMN home_city VARCHAR(100) NULL,
+       ADD COLUMN updated_at BIGINT NULL`,
+  ],
+  down: [
+    'ALTER TABLE travellers DROP COLUMN updated_at, DROP COLUMN home_city, DROP COLUMN bio',
+  ],
+};
@@ -0,0 +1,19 @@
+// 013 — 追蹤其他旅人（單向，像 Instagram，不需要對方同意）
+// 任一邊的 travellers 被刪掉（刪帳號）就跟著刪。followee 那個 index 給「追蹤者列表」和 /api/feed 用。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS traveller_follows (
+      follower_id INT NOT NULL,
+      followee_id INT NOT NULL,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (follower_id, followee_id),
+      INDEX idx_follows_followee (followee_id, created_at),
+      FOREIGN KEY (follower_id) REFERENCES travellers(id) ON DELETE CASCADE,
+      FOREIGN KEY (followee_id) REFERENCES travellers(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS traveller_follows',
+  ],
+};
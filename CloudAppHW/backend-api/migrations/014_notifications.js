@@ -0,0 +1,24 @@
+// 014 — 站內通知：有人按讚 / 留言在你的行程、邀請你共同編輯
+// 收件人用 email（被邀請的人可能還沒有 travellers 那一列）。read_at NULL = 未讀。
+// 行程刪掉通知就一起刪（FK cascade）；刪帳號時 privacy/account-deletion.js 會清收件人 / 發出者是自己的。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS notifications (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      recipient_email VARCHAR(255) NOT NULL,
+      type ENUM('like', 'comment', 'invite') NOT NULL,
+      actor_email VARCHAR(255) NOT NULL,
+      itinerary_id INT NULL,
+      data JSON NULL,
+      created_at BIGINT NOT NULL,
+      read_at BIGINT NULL,
+      INDEX idx_notifications_recipient (recipient_email, id),
+      INDEX idx_notifications_unread (recipient_email, read_at),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS notifications',
+  ],
+};
@@ -0,0 +1,28 @@
+// 015 — 留言串：回覆（parent_id）、編輯（edited_at）、@提及（mentions，email 陣列）
+// MySQL 版的 itinerary_comments 跟 Firestore 版欄位對齊。刪掉被回覆的留言時回覆留著、parent_id 變 NULL
+// （前端把找不到 parent 的回覆當成一般留言顯示，Firestore 版也是這樣）。
+// 通知多兩種：reply（有人回你的留言）/ mention（有人在留言裡 @你）。
+
+module.exports = {
+  up: [
+    `ALTER TABLE itinerary_comments
+       ADD COLUMN parent_id INT NULL,
+       ADD COLUMN edited_at BIGINT NULL,
+       ADD COLUMN mentions JSON NULL,
+       ADD INDEX idx_comments_parent (parent_id),
+       ADD CONSTRAINT fk_comments_parent FOREIGN KEY (parent_id) REFERENCES itinerary_comments(id) ON DELETE SET NULL`,
+    `ALTER TABLE notifications
+       MODIFY COLUMN type ENUM('like', 'comment', 'invite', 'reply', 'mention') NOT NULL`,
+  ],
+  down: [
+    "DELETE FROM notifications WHERE type IN ('reply', 'mention')",
+    `ALTER TABLE notifications
+       MODIFY COLUMN type ENUM('like', 'comment', 'invite') NOT NULL`,
+    `ALTER TABLE itinerary_comments
+       DROP FOREIGN KEY fk_comments_parent,
+       DROP INDEX idx_comments_parent,
+       DROP COLUMN mentions,
+       DROP COLUMN edited_at,
+       DROP COLUMN parent_id`,
+  ],
+};
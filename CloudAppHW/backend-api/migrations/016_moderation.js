@@ -0,0 +1,44 @@
+// 016 — 管理員與內容審核
+//   travellers.role：user / admin（也可以用 Firebase custom claim admin=true，兩個任一個成立就算）
+//   travellers.suspended_*：被停權的人只能讀，不能新增 / 修改（刪帳號、匯出資料除外）
+//   itineraries / itinerary_comments 的 hidden_*：管理員隱藏（不刪），之後可以取消
+//   moderation_reports：使用者檢舉 → 管理員的待處理清單；同一個目標的檢舉一起結案
+// 第一個管理員要手動設：UPDATE travellers SET role = 'admin' WHERE email = '...';
+
+module.exports = {
+  up: [
+    `ALTER TABLE travellers
+       ADD COLUMN role ENUM('user', 'admin') NOT NULL DEFAULT 'user',
+       ADD COLUMN suspended_at BIGINT NULL,
+       ADD COLUMN suspended_by VARCHAR(255) NULL,
+       ADD COLUMN suspended_reason VARCHAR(500) NULL`,
+    `ALTER TABLE itineraries
+       ADD COLUMN hidden_at BIGINT NULL,
+       ADD COLUMN hidden_by VARCHAR(255) NULL`,
+    `ALTER TABLE itinerary_comments
+       ADD COLUMN hidden_at BIGINT NULL,
+       ADD COLUMN hidden_by VARCHAR(255) NULL`,
+    `CREATE TABLE IF NOT EXISTS moderation_reports (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      target_type ENUM('itinerary', 'comment') NOT NULL,
+      itinerary_id INT NOT NULL,
+      comment_id VARCHAR(64) NULL,
+      reporter_email VARCHAR(255) NOT NULL,
+      reason VARCHAR(500) NOT NULL,
+      status ENUM('open', 'resolved') NOT NULL DEFAULT 'open',
+      resolution ENUM('dismiss', 'hide', 'delete') NULL,
+      resolved_by VARCHAR(255) NULL,
+      created_at BIGINT NOT NULL,
+      resolved_at BIGINT NULL,
+      INDEX idx_reports_status (status, id),
+      INDEX idx_reports_target (itinerary_id, comment_id, status),
+      FOREIGN KEY (itinerary_id) REFERENCES itineraries(id) ON DELETE CASCADE
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS moderation_reports',
+    'ALTER TABLE itinerary_comments DROP COLUMN hidden_by, DROP COLUMN hidden_at',
+    'ALTER TABLE itineraries DROP COLUMN hidden_by, DROP COLUMN hidden_at',
+    'ALTER TABLE travellers DROP COLUMN suspended_reason, DROP COLUMN suspended_by, DROP COLUMN suspended_at, DROP COLUMN role',
+  ],
+};
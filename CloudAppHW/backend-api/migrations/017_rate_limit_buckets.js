@@ -0,0 +1,16 @@
+// 017 — 限流的 token bucket（只有 RATE_LIMIT_STORE=mysql 會用到，見 ratelimit/mysql-store.js）
+// bucket_key = <group>:uid:<firebase uid> 或 <group>:ip:<ip>。閒置超過最長視窗的列會被定期清掉（反正已經補滿了）。
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      bucket_key VARCHAR(191) NOT NULL PRIMARY KEY,
+      tokens DOUBLE NOT NULL,
+      updated_at BIGINT NOT NULL,
+      INDEX idx_rate_limit_updated (updated_at)
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS rate_limit_buckets',
+  ],
+};
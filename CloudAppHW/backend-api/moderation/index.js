@@ -0,0 +1,68 @@
+// moderation/index.js — 管理員身分與停權狀態
+//   isAdmin(user)            → Firebase custom claim admin=true，或 travellers.role = 'admin'
+//   suspension(email)        → { at, reason } 或 null
+//   requireAdmin             → middleware（要接在 verifyFirebaseToken 後面），不是管理員回 403
+//   invalidate(email)        → 改了角色 / 停權後清掉快取
+// 另外 commentForViewers(comment)：留言要廣播（SSE）或回給非管理員前先過這個——hidden_by 一律拿掉，
+//   被隱藏的留言只送 { id, hidden_at }（內容不外流），管理員 / 作者的前端收到再自己重抓。
+// travellers 的查詢結果在這個 instance 快取 CACHE_MS：verifyFirebaseToken 每個寫入請求都會問一次停權狀態。
+// 別的 instance 最多晚 CACHE_MS 才知道某人被停權 / 解除。
+
+const CACHE_MS = 30 * 1000;
+
+function createModeration({ pool, log }) {
+  const cache = new Map(); // email → { at, role, suspendedAt, reason }
+
+  async function lookup(email) {
+    const hit = cache.get(email);
+    if (hit && Date.now() - hit.at < CACHE_MS) return hit;
+    const [rows] = await pool.execute(
+      'SELECT role, suspended_at, suspended_reason FROM travellers WHERE email = ?',
+      [email],
+    );
+    const entry = {
+      at: Date.now(),
+      role: rows[0]?.role || 'user',
+      suspendedAt: rows[0]?.suspended_at == null ? null : Number(rows[0].suspended_at),
+      reason: rows[0]?.suspended_reason || null,
+    };
+    cache.set(email, entry);
+    return entry;
+  }
+
+  async function isAdmin(user) {
+    if (!user?.email) return false;
+    if (user.admin === true) return true;
+    return (await lookup(user.email)).role === 'admin';
+  }
+
+  async function suspension(email) {
+    if (!email) return null;
+    const entry = await lookup(email);
+    return entry.suspendedAt ? { at: entry.suspendedAt, reason: entry.reason } : null;
+  }
+
+  async function requireAdmin(req, res, next) {
+    try {
+      if (!(await isAdmin(req.user))) return res.status(403).send({ message: 'Admin only.' });
+      return next();
+    } catch (err) {
+      log('ERROR', '[MOD] admin check error', { reqId: req._reqId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error checking permissions.' });
+    }
+  }
+
+  return {
+    isAdmin,
+    suspension,
+    requireAdmin,
+    invalidate: (email) => cache.delete(email),
+  };
+}
+
+function commentForViewers(comment) {
+  const { hidden_by, ...shown } = comment;
+  return shown.hidden_at ? { id: shown.id, hidden_at: shown.hidden_at } : shown;
+}
+
+module.exports = { createModeration, commentForViewers };
@@ -0,0 +1,110 @@
+// notifications/index.js — 站內通知（notifications 資料表，MySQL）
+//   notify({ type, recipient, actor, itineraryId, data }) → 寫一筆；自己對自己的動作不通知。
+//     best-effort：失敗只記 log，不影響觸發它的請求（按讚 / 留言 / 邀請）
+//   notifyTripOwner({ type, actor, itineraryId, data }) → 收件人是行程建立者
+//   retractLike({ actor, itineraryId }) → 收回讚時把還沒讀的那筆讚通知拿掉（來回按不會洗版）
+//   list(email, { limit, beforeId, unreadOnly }) → 新到舊
+//   unreadCount(email)
+//   markRead(email, ids | null) → ids 為 null 時全部標成已讀；回傳標了幾筆
+// type：like / comment / reply / mention（data.comment_id、data.excerpt 是留言開頭）/ invite（data.role）
+
+const TYPES = ['like', 'comment', 'invite', 'reply', 'mention'];
+
+function createNotifier({ pool, log }) {
+  const toItem = (r) => ({
+    id: Number(r.id),
+    type: r.type,
+    actor: { email: r.actor_email, name: r.actor_name || null },
+    itinerary: r.itinerary_id == null ? null : { id: r.itinerary_id, title: r.itinerary_title || null },
+    data: typeof r.data === 'string' ? JSON.parse(r.data) : (r.data || {}),
+    created_at: Number(r.created_at),
+    read_at: r.read_at == null ? null : Number(r.read_at),
+  });
+
+  async function notify({ type, recipient, actor, itineraryId = null, data = {} }) {
+    if (!TYPES.includes(type) || !recipient || !actor) return null;
+    if (recipient.toLowerCase() === actor.toLowerCase()) return null;
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO notifications (recipient_email, type, actor_email, itinerary_id, data, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [recipient, type, actor, itineraryId, JSON.stringify(data), Date.now()],
+      );
+      return Number(result.insertId);
+    } catch (err) {
+      log('ERROR', '[NOTIFY] insert failed', { type, itineraryId, error: String(err?.message || err) });
+      return null;
+    }
+  }
+
+  async function notifyTripOwner({ type, actor, itineraryId, data }) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT t.email FROM itineraries i JOIN travellers t ON i.traveller_id = t.id WHERE i.id = ?',
+        [itineraryId],
+      );
+      if (rows.length === 0) return null;
+      return notify({ type, recipient: rows[0].email, actor, itineraryId, data });
+    } catch (err) {
+      log('ERROR', '[NOTIFY] owner lookup failed', { type, itineraryId, error: String(err?.message || err) });
+      return null;
+    }
+  }
+
+  async function retractLike({ actor, itineraryId }) {
+    try {
+      await pool.execute(
+        `DELETE FROM notifications
+         WHERE type = 'like' AND actor_email = ? AND itinerary_id = ? AND read_at IS NULL`,
+        [actor, itineraryId],
+      );
+    } catch (err) {
+      log('ERROR', '[NOTIFY] retract like failed', { itineraryId, error: String(err?.message || err) });
+    }
+  }
+
+  async function list(email, { limit, beforeId = null, unreadOnly = false }) {
+    const where = ['n.recipient_email = ?'];
+    const params = [email];
+    if (beforeId) { where.push('n.id < ?'); params.push(beforeId); }
+    if (unreadOnly) where.push('n.read_at IS NULL');
+    // limit 由呼叫端驗證成整數，直接嵌進 SQL
+    const [rows] = await pool.execute(
+      `SELECT n.*, t.name AS actor_name, i.title AS itinerary_title
+       FROM notifications n
+       LEFT JOIN travellers t ON t.email = n.actor_email
+       LEFT JOIN itineraries i ON i.id = n.itinerary_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY n.id DESC
+       LIMIT ${limit}`,
+      params,
+    );
+    return rows.map(toItem);
+  }
+
+  async function unreadCount(email) {
+    const [[{ n }]] = await pool.execute(
+      'SELECT COUNT(*) AS n FROM notifications WHERE recipient_email = ? AND read_at IS NULL',
+      [email],
+    );
+    return Number(n);
+  }
+
+  async function markRead(email, ids = null) {
+    if (Array.isArray(ids) && ids.length === 0) return 0;
+    const [result] = ids
+      ? await pool.query(
+        'UPDATE notifications SET read_at = ? WHERE recipient_email = ? AND read_at IS NULL AND id IN (?)',
+        [Date.now(), email, ids],
+      )
+      : await pool.execute(
+        'UPDATE notifications SET read_at = ? WHERE recipient_email = ? AND read_at IS NULL',
+        [Date.now(), email],
+      );
+    return result.affectedRows;
+  }
+
+  return { notify, notifyTripOwner, retractLike, list, unreadCount, markRead };
+}
+
+module.exports = { createNotifier, NOTIFICATION_TYPES: TYPES };
@@ -0,0 +1,129 @@
+// privacy/account-deletion.js — 刪掉一個旅人在系統裡的所有資料
+// MySQL 的 FK 只到 itineraries 為止會 cascade（逐日計畫 / 預算 / 花費 / 共同編輯者 / ai_jobs / 匯出紀錄），
+// Firestore 和 storage 是別的系統，要一個一個清：
+//   1. 自己每個行程的 aiSuggestions/{id}（含 versions）和 likes / comments（social repo 不會跟著 cascade 時）
+//   2. 自己在別人行程上的讚和留言（social.deleteByUser）
+//   3. 頭貼、還沒過期的匯出 ZIP
+//   4. MySQL：被邀請的共同編輯紀錄、收到 / 發出的通知、送出的檢舉、自己的行程、travellers 那一列（同一個 transaction）
+//   5. Firebase Auth 帳號（最後才刪：前面失敗時使用者還能用同一個帳號登入再試一次）
+// 每一步都是 idempotent，失敗就記下來；外部資料有一步失敗時 4、5 先不做（pending），使用者再送一次就會接著清。
+//
+//   createAccountDeleter(deps).deleteAccount({ email, uid })
+//     → { ok, itineraries: [已刪掉的行程 id], steps: [{ step, status, count?, error? }] }
+//   status：done / failed / skipped（不需要做）/ pending（前面失敗，這次沒做）
+
+function createAccountDeleter({ pool, db, social, fileStorage, avatarKey, deleteAuthUser, aiCollection, log }) {
+  async function deleteAccount({ email, uid }) {
+    const steps = [];
+    const run = async (step, fn) => {
+      const t0 = Date.now();
+      try {
+        const count = await fn();
+        steps.push(count === undefined ? { step, status: 'done' } : { step, status: 'done', count });
+        log('INFO', '[ACCOUNT DELETE] step done', { email, step, count, ms: Date.now() - t0 });
+      } catch (err) {
+        steps.push({ step, status: 'failed', error: String(err?.message || err) });
+        log('ERROR', '[ACCOUNT DELETE] step failed', { email, step, error: String(err?.message || err) });
+      }
+    };
+
+    const [travellers] = await pool.execute('SELECT id FROM travellers WHERE email = ?', [email]);
+    const tid = travellers.length ? travellers[0].id : null;
+    let ids = [];
+    let exportKeys = [];
+    if (tid) {
+      const [trips] = await pool.execute('SELECT id FROM itineraries WHERE traveller_id = ?', [tid]);
+      ids = trips.map(t => String(t.id));
+      const [exports] = await pool.execute(
+        'SELECT storage_key FROM data_exports WHERE traveller_id = ? AND storage_key IS NOT NULL',
+        [tid],
+      );
+      exportKeys = exports.map(r => r.storage_key);
+    }
+    log('INFO', '[ACCOUNT DELETE] start', { email, traveller: tid, itineraries: ids.length });
+
+    await run('ai_suggestions', async () => {
+      for (const id of ids) await db.recursiveDelete(db.collection(aiCollection).doc(id));
+      return ids.length;
+    });
+
+    if (social.cascadesWithItinerary) {
+      steps.push({ step: 'trip_social', status: 'skipped' });
+    } else {
+      // deleteForItinerary 自己吞錯誤（背景清理用），這裡直接清才知道有沒有成功
+      await run('trip_social', async () => {
+        for (const id of ids) {
+          await Promise.all([
+            db.recursiveDelete(db.collection('likes').doc(id)),
+            db.recursiveDelete(db.collection('comments').doc(id)),
+          ]);
+        }
+        return ids.length;
+      });
+    }
+
+    await run('own_likes_comments', async () => {
+      const n = await social.deleteByUser(email);
+      return n.likes + n.comments;
+    });
+
+    await run('avatar', async () => {
+      await fileStorage.remove(avatarKey(email));
+    });
+
+    if (exportKeys.length) {
+      await run('data_exports', async () => {
+        for (const key of exportKeys) await fileStorage.remove(key);
+        return exportKeys.length;
+      });
+    }
+
+    // 前面有失敗就先留著 MySQL：重試時還查得到行程 id，才清得到 Firestore
+    const failed = () => steps.some(s => s.status === 'failed');
+    if (!tid) {
+      steps.push({ step: 'database', status: 'skipped' });
+    } else if (failed()) {
+      steps.push({ step: 'database', status: 'pending' });
+    } else {
+      await run('database', async () => {
+        const conn = await pool.getConnection();
+        try {
+          await conn.beginTransaction();
+          await conn.execute('DELETE FROM itinerary_collaborators WHERE email = ?', [email]);
+          await conn.execute('DELETE FROM notifications WHERE recipient_email = ? OR actor_email = ?', [email, email]);
+          await conn.execute('DELETE FROM moderation_reports WHERE reporter_email = ?', [email]);
+          const [trips] = await conn.execute('DELETE FROM itineraries WHERE traveller_id = ?', [tid]);
+          await conn.execute('DELETE FROM travellers WHERE id = ?', [tid]);
+          await conn.commit();
+          return trips.affectedRows;
+        } catch (err) {
+          await conn.rollback().catch(() => {});
+          throw err;
+        } finally {
+          conn.release();
+        }
+      });
+    }
+
+    if (failed() || steps.some(s => s.status === 'pending')) {
+      steps.push({ step: 'auth_user', status: 'pending' });
+    } else {
+      await run('auth_user', async () => {
+        try {
+          await deleteAuthUser(uid);
+        } catch (err) {
+          if (err?.code !== 'auth/user-not-found') throw err;
+        }
+      });
+    }
+
+    const ok = steps.every(s => s.status === 'done' || s.status === 'skipped');
+    const dbDone = steps.some(s => s.step === 'database' && s.status === 'done');
+    log(ok ? 'INFO' : 'ERROR', '[ACCOUNT DELETE] finished', { email, ok, steps });
+    return { ok, itineraries: dbDone ? ids : [], steps };
+  }
+
+  return { deleteAccount };
+}
+
+module.exports = { createAccountDeleter };
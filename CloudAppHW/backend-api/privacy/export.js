@@ -0,0 +1,232 @@
+// privacy/export.js — 把一個旅人在系統裡的所有資料打包成 ZIP
+// 來源：MySQL（travellers、追蹤關係、收到的通知、自己的行程與其逐日計畫 / 預算 / 花費 / 共同編輯者、自己參與的共同編輯）、
+//       likes / comments（social repository，Firestore 或 MySQL）、Firestore aiSuggestions（含版本）、
+//       Firebase Auth 帳號資料、storage 裡的頭貼。
+//
+//   createDataExporter(deps).collect(email) → { files: { 'name.json': data }, avatar: Buffer | null } 或 null（沒有這個人）
+//   createDataExporter(deps).buildZip(email) → Buffer 或 null
+
+const archiver = require('archiver');
+
+const README = `DragonFlyX personal data export
+================================
+
+profile.json          your traveller record and Firebase Auth account
+itineraries.json      trips you created, with day plans, budgets, expenses, collaborators,
+                      likes count and comments on each trip
+collaborations.json   trips other people invited you to
+likes.json            trips you liked
+comments.json         comments you wrote (on any trip)
+follows.json          travellers you follow and travellers following you
+notifications.json    notifications you received (likes, comments, invites)
+ai_suggestions.json   AI travel suggestions for your trips, with every version
+avatar.jpg            your profile picture (only if you uploaded one)
+
+Dates are YYYY-MM-DD; timestamps are ISO 8601 (UTC).
+`;
+
+// Firestore Timestamp / epoch ms → ISO 字串，其他照舊（遞迴）
+function plain(value, key = '') {
+  if (value == null) return value;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (typeof value === 'number' && /(_at|At)$/.test(key) && value > 1e11) return new Date(value).toISOString();
+  if (Array.isArray(value)) return value.map(v => plain(v));
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v, k)]));
+  }
+  return value;
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function createDataExporter({ pool, db, social, fileStorage, avatarKey, getAuthUser, aiCollection, log }) {
+  const TRIP_COLUMNS = `id, title, destination, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+    DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, short_description, detail_description, visibility`;
+
+  const byItinerary = (rows) => {
+    const map = new Map();
+    for (const r of rows) {
+      const key = String(r.itinerary_id);
+      if (!map.has(key)) map.set(key, []);
+      const { itinerary_id, ...rest } = r;
+      map.get(key).push(rest);
+    }
+    return (id) => map.get(String(id)) || [];
+  };
+
+  async function loadTripDetails(ids) {
+    if (ids.length === 0) return { days: () => [], budgets: () => [], expenses: () => [], collaborators: () => [] };
+    const [days] = await pool.query(
+      `SELECT d.itinerary_id, d.id, d.position, DATE_FORMAT(d.day_date, '%Y-%m-%d') AS date, d.title
+       FROM itinerary_days d WHERE d.itinerary_id IN (?) ORDER BY d.position, d.id`,
+      [ids],
+    );
+    const [acts] = await pool.query(
+      `SELECT a.day_id, a.position, TIME_FORMAT(a.start_time, '%H:%i') AS time, a.place, a.notes
+       FROM itinerary_activities a JOIN itinerary_days d ON a.day_id = d.id
+       WHERE d.itinerary_id IN (?) ORDER BY a.position, a.id`,
+      [ids],
+    );
+    const [budgets] = await pool.query(
+      'SELECT itinerary_id, category, amount, currency, note, updated_by, updated_at FROM itinerary_budgets WHERE itinerary_id IN (?)',
+      [ids],
+    );
+    const [expenses] = await pool.query(
+      `SELECT itinerary_id, category, amount, currency, description, DATE_FORMAT(spent_on, '%Y-%m-%d') AS spent_on, created_by, created_at
+       FROM itinerary_expenses WHERE itinerary_id IN (?) ORDER BY spent_on, id`,
+      [ids],
+    );
+    const [collaborators] = await pool.query(
+      'SELECT itinerary_id, email, role, status, invited_by, invited_at, accepted_at FROM itinerary_collaborators WHERE itinerary_id IN (?)',
+      [ids],
+    );
+    const activitiesOf = new Map();
+    for (const { day_id, ...a } of acts) {
+      if (!activitiesOf.has(day_id)) activitiesOf.set(day_id, []);
+      activitiesOf.get(day_id).push(a);
+    }
+    const dayRows = days.map(d => ({ ...d, activities: activitiesOf.get(d.id) || [] }));
+    const money = rows => rows.map(r => ({ ...r, amount: Number(r.amount) }));
+    return {
+      days: byItinerary(dayRows.map(({ id, ...d }) => d)),
+      budgets: byItinerary(money(budgets)),
+      expenses: byItinerary(money(expenses)),
+      collaborators: byItinerary(collaborators),
+    };
+  }
+
+  async function loadAiSuggestions(ids) {
+    const out = [];
+    for (const id of ids) {
+      const ref = db.collection(aiCollection).doc(String(id));
+      const [snap, versions] = await Promise.all([ref.get(), ref.collection('versions').get()]);
+      if (!snap.exists && versions.empty) continue;
+      out.push({
+        itinerary_id: id,
+        current: snap.exists ? snap.data() : null,
+        versions: versions.docs.map(doc => ({ version: doc.id, ...doc.data() })),
+      });
+    }
+    return out;
+  }
+
+  async function loadAuthUser(email) {
+    try {
+      const u = await getAuthUser(email);
+      return {
+        uid: u.uid,
+        email: u.email,
+        emailVerified: u.emailVerified,
+        displayName: u.displayName || null,
+        disabled: u.disabled,
+        providers: (u.providerData || []).map(p => p.providerId),
+        createdAt: u.metadata?.creationTime || null,
+        lastSignInAt: u.metadata?.lastSignInTime || null,
+      };
+    } catch (err) {
+      log('WARN', '[EXPORT] auth user lookup failed', { email, error: String(err?.message || err) });
+      return null;
+    }
+  }
+
+  async function loadAvatar(email) {
+    const obj = await fileStorage.open(avatarKey(email));
+    return obj ? streamToBuffer(obj.stream) : null;
+  }
+
+  async function collect(email) {
+    const [travellers] = await pool.execute(
+      'SELECT id, email, name, bio, home_city, calendar_token IS NOT NULL AS calendar_feed_enabled FROM travellers WHERE email = ?',
+      [email],
+    );
+    if (travellers.length === 0) return null;
+    const traveller = { ...travellers[0], calendar_feed_enabled: !!travellers[0].calendar_feed_enabled };
+
+    const [trips] = await pool.execute(`SELECT ${TRIP_COLUMNS} FROM itineraries WHERE traveller_id = ? ORDER BY start_date, id`, [traveller.id]);
+    const ids = trips.map(t => t.id);
+    const details = await loadTripDetails(ids);
+    const itineraries = [];
+    for (const t of trips) {
+      const [likesCount, comments] = await Promise.all([social.countLikes(t.id), social.listComments(t.id)]);
+      itineraries.push({
+        ...t,
+        days: details.days(t.id),
+        budgets: details.budgets(t.id),
+        expenses: details.expenses(t.id),
+        collaborators: details.collaborators(t.id),
+        likes_count: likesCount,
+        comments,
+      });
+    }
+
+    const [collaborations] = await pool.execute(
+      `SELECT c.itinerary_id, i.title, c.role, c.status, c.invited_by, c.invited_at, c.accepted_at
+       FROM itinerary_collaborators c JOIN itineraries i ON c.itinerary_id = i.id
+       WHERE c.email = ? ORDER BY c.invited_at`,
+      [email],
+    );
+    const [following] = await pool.execute(
+      `SELECT t.email, f.created_at FROM traveller_follows f JOIN travellers t ON t.id = f.followee_id
+       WHERE f.follower_id = ? ORDER BY f.created_at`,
+      [traveller.id],
+    );
+    const [followers] = await pool.execute(
+      `SELECT t.email, f.created_at FROM traveller_follows f JOIN travellers t ON t.id = f.follower_id
+       WHERE f.followee_id = ? ORDER BY f.created_at`,
+      [traveller.id],
+    );
+    const [notifications] = await pool.execute(
+      `SELECT type, actor_email, itinerary_id, data, created_at, read_at FROM notifications
+       WHERE recipient_email = ? ORDER BY id`,
+      [email],
+    );
+    const [activity, aiSuggestions, auth, avatar] = await Promise.all([
+      social.listByUser(email),
+      loadAiSuggestions(ids),
+      loadAuthUser(email),
+      loadAvatar(email),
+    ]);
+
+    return {
+      files: {
+        'profile.json': { exported_at: new Date().toISOString(), traveller, auth },
+        'itineraries.json': itineraries,
+        'collaborations.json': collaborations,
+        'likes.json': activity.likes,
+        'comments.json': activity.comments,
+        'follows.json': { following, followers },
+        'notifications.json': notifications.map(n => ({ ...n, data: typeof n.data === 'string' ? JSON.parse(n.data) : n.data })),
+        'ai_suggestions.json': aiSuggestions,
+      },
+      avatar,
+    };
+  }
+
+  async function buildZip(email) {
+    const data = await collect(email);
+    if (!data) return null;
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      archive.on('end', resolve);
+      archive.on('error', reject);
+    });
+    archive.append(README, { name: 'README.txt' });
+    for (const [name, value] of Object.entries(data.files)) {
+      archive.append(JSON.stringify(plain(value), null, 2), { name });
+    }
+    if (data.avatar) archive.append(data.avatar, { name: 'avatar.jpg' });
+    await archive.finalize();
+    await finished;
+    return Buffer.concat(chunks);
+  }
+
+  return { collect, buildZip };
+}
+
+module.exports = { createDataExporter };
@@ -0,0 +1,18 @@
+// ratelimit/bucket.js — token bucket 的計算（store 只負責存 { tokens, updatedAt }）
+// rule = { capacity, windowMs }：桶子最多 capacity 個 token，空桶要 windowMs 才會補滿（平均每 windowMs / capacity 補一個）。
+// 每個請求拿 cost 個 token（預設 1；匯入一次排好幾個 AI job 就拿好幾個）；不夠就整筆拒絕、一個都不扣，
+// retryAfterMs = 補到 cost 個 token 還要多久。cost 不能大於 capacity（永遠湊不齊），由呼叫端先壓到 capacity 以內。
+// cost 是負的 = 退回 token（扣了之後請求失敗），最多補到 capacity。
+
+function take(state, { capacity, windowMs }, now = Date.now(), cost = 1) {
+  const rate = capacity / windowMs; // token / ms
+  const tokens = state
+    ? Math.min(capacity, state.tokens + Math.max(0, now - state.updatedAt) * rate)
+    : capacity;
+  if (tokens >= cost) {
+    return { allowed: true, remaining: Math.floor(tokens - cost), retryAfterMs: 0, state: { tokens: Math.min(capacity, tokens - cost), updatedAt: now } };
+  }
+  return { allowed: false, remaining: Math.floor(tokens), retryAfterMs: Math.ceil((cost - tokens) / rate), state: { tokens, updatedAt: now } };
+}
+
+module.exports = { take };
@@ -0,0 +1,135 @@
+// ratelimit/index.js — 依路由群組限流（token bucket，key = 登入者 uid，沒登入用 IP）
+//   createRateLimiter({ env, pool, log, store? }) → { limit(group), consume, refund, reject, capacity, groups, store }
+//   limit(group)：Express middleware。要接在 verifyFirebaseToken / optionalFirebaseToken 後面才認得 uid；
+//     超過就回 429 + Retry-After（秒）+ { message, group, retryAfter }。
+//   consume(req, group, cost) → { allowed, remaining, retryAfter }：一次扣好幾個 token（匯入用，
+//     cost 要先壓在 capacity(group) 以內）；不夠就用 reject(req, res, group, result) 回 429。
+//   refund(req, group, result)：consume 扣過、之後請求卻失敗（什麼都沒做成）時把那些 token 還回去。
+//
+// 群組與預設值（RATE_LIMIT_<GROUP>=<次數>/<秒>，例如 5/600；off = 不限）：
+//   api     300/60  所有 /api 請求（server.js 在驗證之前掛，所以只能用 IP）
+//   ai        5/600 新增行程、重新產生 AI 建議、匯入（每個會排 AI job 的新行程扣一個，見 routes/import.js）
+//   social   30/60  按讚切換、留言 / 編輯留言、檢舉、追蹤
+//   upload   10/600 頭貼上傳、個人資料匯出
+// store 由 RATE_LIMIT_STORE 決定（memory | mysql，預設 memory）；自己的 store 只要有
+//   take(key, { capacity, windowMs }, now, cost) → { allowed, remaining, retryAfterMs } 和 sweep(cutoff)。
+// store 出錯時放行（fail open）並記 ERROR：限流壞掉不該讓整個網站跟著不能用。
+
+const { createMemoryStore } = require('./memory-store');
+const { createMysqlStore } = require('./mysql-store');
+const { redactUrl } = require('../logger');
+
+const DEFAULT_LIMITS = {
+  api: '300/60',
+  ai: '5/600',
+  social: '30/60',
+  upload: '10/600',
+};
+const SWEEP_MS = 10 * 60 * 1000;
+
+// "5/600" → { capacity: 5, windowMs: 600000 }；off / 0 → null（不限）；格式錯就丟錯（啟動時就發現）
+function parseLimit(value, group) {
+  const v = String(value).trim().toLowerCase();
+  if (v === 'off' || v === '0') return null;
+  const m = /^(\d+)\s*\/\s*(\d+)$/.exec(v);
+  if (!m || Number(m[1]) < 1 || Number(m[2]) < 1) {
+    throw new Error(`Invalid RATE_LIMIT_${group.toUpperCase()}: "${value}" (expected <requests>/<seconds> or off)`);
+  }
+  return { capacity: Number(m[1]), windowMs: Number(m[2]) * 1000 };
+}
+
+function resolveGroups(env = process.env) {
+  const groups = {};
+  for (const [group, fallback] of Object.entries(DEFAULT_LIMITS)) {
+    groups[group] = parseLimit(env[`RATE_LIMIT_${group.toUpperCase()}`] || fallback, group);
+  }
+  return groups;
+}
+
+function createStore({ env, pool }) {
+  const name = (env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+  if (name === 'memory') return createMemoryStore();
+  if (name === 'mysql') return createMysqlStore({ pool });
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+}
+
+function clientKey(req) {
+  if (req.user?.uid) return `uid:${req.user.uid}`;
+  return `ip:${req.ip || req.socket?.remoteAddress || 'unknown'}`;
+}
+
+function createRateLimiter({ env = process.env, pool, log, store } = {}) {
+  const groups = resolveGroups(env);
+  const bucketStore = store || createStore({ env, pool });
+
+  // 閒置超過最長視窗的桶子已經補滿，可以丟掉
+  const longestMs = Math.max(0, ...Object.values(groups).filter(Boolean).map(r => r.windowMs));
+  const sweeper = setInterval(() => {
+    bucketStore.sweep(Date.now() - longestMs)
+      .catch(err => log('ERROR', '[RATE LIMIT] sweep error', { store: bucketStore.name, error: String(err?.message || err) }));
+  }, SWEEP_MS);
+  sweeper.unref?.();
+
+  function ruleFor(group) {
+    if (!(group in groups)) throw new Error(`Unknown rate limit group: ${group}`);
+    return groups[group];
+  }
+
+  // 群組一次最多能扣幾個 token；off 的群組不限
+  const capacity = (group) => ruleFor(group)?.capacity ?? Infinity;
+
+  async function consume(req, group, cost = 1) {
+    const rule = ruleFor(group);
+    if (!rule) return { allowed: true, remaining: Infinity, retryAfter: 0 };
+    const key = `${group}:${clientKey(req)}`;
+    try {
+      const result = await bucketStore.take(key, rule, Date.now(), cost);
+      return { ...result, key, cost, retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000)) };
+    } catch (err) {
+      log('ERROR', '[RATE LIMIT] store error, allowing request', {
+        reqId: req._reqId, group, store: bucketStore.name, error: String(err?.message || err),
+      });
+      return { allowed: true, remaining: 0, retryAfter: 0 };
+    }
+  }
+
+  async function refund(req, group, result) {
+    const rule = ruleFor(group);
+    if (!rule || !result?.allowed || !result.key) return;
+    try {
+      await bucketStore.take(result.key, rule, Date.now(), -result.cost);
+      log('INFO', '[RATE LIMIT] refunded', { reqId: req._reqId, group, key: result.key, cost: result.cost });
+    } catch (err) {
+      log('ERROR', '[RATE LIMIT] refund error', {
+        reqId: req._reqId, group, store: bucketStore.name, error: String(err?.message || err),
+      });
+    }
+  }
+
+  function reject(req, res, group, result) {
+    const rule = ruleFor(group);
+    log('WARN', '[RATE LIMIT] exceeded', {
+      reqId: req._reqId, group, key: result.key, cost: result.cost, method: req.method, url: redactUrl(req.originalUrl || req.url),
+      limit: rule.capacity, windowSec: rule.windowMs / 1000, retryAfter: result.retryAfter,
+    });
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).send({ message: 'Too many requests. Please try again later.', group, retryAfter: result.retryAfter });
+  }
+
+  function limit(group) {
+    if (!ruleFor(group)) return (req, res, next) => next();
+    return async function rateLimit(req, res, next) {
+      const result = await consume(req, group);
+      if (result.allowed) return next();
+      return reject(req, res, group, result);
+    };
+  }
+
+  log('INFO', '[RATE LIMIT] configured', {
+    store: bucketStore.name,
+    groups: Object.fromEntries(Object.entries(groups).map(([g, r]) => [g, r ? `${r.capacity}/${r.windowMs / 1000}s` : 'off'])),
+  });
+  return { limit, consume, refund, reject, capacity, groups, store: bucketStore };
+}
+
+module.exports = { createRateLimiter, parseLimit, resolveGroups };
@@ -0,0 +1,31 @@
+// ratelimit/memory-store.js — 預設的 store：桶子放在這個 instance 的記憶體
+// 重啟就歸零；多個 instance 時每個各算各的（實際上限 ≈ 設定值 × instance 數），要共用就換 mysql store。
+
+const { take } = require('./bucket');
+
+function createMemoryStore() {
+  const buckets = new Map(); // key → { tokens, updatedAt }
+
+  return {
+    name: 'memory',
+    async take(key, rule, now = Date.now(), cost = 1) {
+      const result = take(buckets.get(key), rule, now, cost);
+      buckets.set(key, result.state);
+      return result;
+    },
+    // 閒置超過 cutoff 的桶子早就補滿了，丟掉跟留著一樣
+    async sweep(cutoff) {
+      let removed = 0;
+      for (const [key, b] of buckets) {
+        if (b.updatedAt < cutoff) {
+          buckets.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    describe: () => ({ buckets: buckets.size }),
+  };
+}
+
+module.exports = { createMemoryStore };
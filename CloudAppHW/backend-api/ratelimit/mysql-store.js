@@ -0,0 +1,42 @@
+// ratelimit/mysql-store.js — 多個 instance 共用桶子（rate_limit_buckets，migration 017）
+// 每次 take 是一個小 transaction：SELECT ... FOR UPDATE 鎖住那一列，算完寫回。
+// 比記憶體慢一個 DB round trip，只建議用在真的有多個 instance 的部署。
+
+const { take } = require('./bucket');
+
+function createMysqlStore({ pool }) {
+  return {
+    name: 'mysql',
+    async take(key, rule, now = Date.now(), cost = 1) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [rows] = await conn.execute(
+          'SELECT tokens, updated_at FROM rate_limit_buckets WHERE bucket_key = ? FOR UPDATE',
+          [key],
+        );
+        const state = rows.length ? { tokens: Number(rows[0].tokens), updatedAt: Number(rows[0].updated_at) } : null;
+        const result = take(state, rule, now, cost);
+        await conn.execute(
+          `INSERT INTO rate_limit_buckets (bucket_key, tokens, updated_at) VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE tokens = VALUES(tokens), updated_at = VALUES(updated_at)`,
+          [key, result.state.tokens, result.state.updatedAt],
+        );
+        await conn.commit();
+        return result;
+      } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+    async sweep(cutoff) {
+      const [result] = await pool.execute('DELETE FROM rate_limit_buckets WHERE updated_at < ?', [cutoff]);
+      return result.affectedRows;
+    },
+    describe: () => ({}),
+  };
+}
+
+module.exports = { createMysqlStore };
@@ -0,0 +1,72 @@
+// realtime/channel-hub.js — 行程頻道的即時事件（按讚 / 留言 / 刪除），給 SSE 端點推給正在看的人
+// 每個頻道（itineraryId）有自己的遞增序號，最近 bufferSize 筆留著：
+// 斷線重連時帶 Last-Event-ID，就能把中間漏掉的補送；漏太多（已經被擠出 buffer）就回 null，叫前端整包重抓。
+//
+//   publish(channel, type, data)      → { id, type, data, at }
+//   subscribe(channel, listener)      → unsubscribe()
+//   since(channel, lastId)            → 漏掉的事件陣列（可能是空的）或 null（補不回來）
+//   lastId(channel)                   → 目前序號（新連線用來當起點）
+//
+// 只在同一個 instance 內廣播。多個 instance 要共用的話，把 publish 換成寫 Pub/Sub / Redis、
+// 收到再丟進本地的 emitter（介面不變）；序號則要改用那邊的 message id。
+
+const { EventEmitter } = require('events');
+
+function createChannelHub({ bufferSize = 100, idleMs = 10 * 60 * 1000 } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const channels = new Map(); // channel → { seq, recent: [], touchedAt }
+
+  function channelFor(key) {
+    let ch = channels.get(key);
+    if (!ch) {
+      ch = { seq: 0, recent: [], touchedAt: Date.now() };
+      channels.set(key, ch);
+    }
+    return ch;
+  }
+
+  // 沒人在聽、也很久沒事件的頻道就丟掉，免得 Map 一直長
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - idleMs;
+    for (const [key, ch] of channels) {
+      if (ch.touchedAt < cutoff && emitter.listenerCount(key) === 0) channels.delete(key);
+    }
+  }, idleMs);
+  sweeper.unref?.();
+
+  return {
+    publish(channel, type, data = {}) {
+      const key = String(channel);
+      const ch = channelFor(key);
+      const evt = { id: ++ch.seq, type, data, at: Date.now() };
+      ch.recent.push(evt);
+      if (ch.recent.length > bufferSize) ch.recent.shift();
+      ch.touchedAt = evt.at;
+      emitter.emit(key, evt);
+      return evt;
+    },
+    subscribe(channel, listener) {
+      const key = String(channel);
+      channelFor(key).touchedAt = Date.now();
+      emitter.on(key, listener);
+      return () => emitter.off(key, listener);
+    },
+    since(channel, lastId) {
+      const ch = channels.get(String(channel));
+      const n = Number(lastId);
+      if (!Number.isInteger(n) || n < 0) return null; // 不是我們發的序號，當作補不回來
+      if (!ch) return n === 0 ? [] : null; // instance 重啟過，序號對不上
+      if (n > ch.seq) return null;
+      if (n === ch.seq) return [];
+      const oldest = ch.recent.length ? ch.recent[0].id : ch.seq + 1;
+      if (n + 1 < oldest) return null;
+      return ch.recent.filter(e => e.id > n);
+    },
+    lastId(channel) {
+      return channelFor(String(channel)).seq;
+    },
+  };
+}
+
+module.exports = { createChannelHub };
@@ -0,0 +1,135 @@
+// repositories/firestore-social.js — likes / comments 存在 Firestore（原本的做法）
+//   likes/{itineraryId}/userLikes/{email}   → { email, liked_at }
+//   comments/{itineraryId}/items/{autoId}   → { email, text, created_at, parent_id, edited_at, mentions }
+//     parent_id / edited_at / mentions 是後來加的，舊留言沒有這些欄位，讀出來時補預設值
+
+function createFirestoreSocialRepository({ db, log }) {
+  const likesCol = (itineraryId) => db.collection('likes').doc(String(itineraryId)).collection('userLikes');
+  const commentsCol = (itineraryId) => db.collection('comments').doc(String(itineraryId)).collection('items');
+  const toComment = (doc) => ({ id: doc.id, parent_id: null, edited_at: null, mentions: [], hidden_at: null, hidden_by: null, ...doc.data() });
+
+  return {
+    name: 'firestore',
+    // Firestore 跟 MySQL 是兩個庫，刪行程時要另外清
+    cascadesWithItinerary: false,
+
+    async toggleLike(itineraryId, email) {
+      const ref = likesCol(itineraryId).doc(email);
+      const snap = await ref.get();
+      if (snap.exists) {
+        await ref.delete();
+        return false;
+      }
+      await ref.set({ email, liked_at: Date.now() });
+      return true;
+    },
+
+    async countLikes(itineraryId) {
+      const qs = await likesCol(itineraryId).get();
+      return qs.size;
+    },
+
+    async countLikesFor(itineraryIds) {
+      const counts = await Promise.all(
+        itineraryIds.map(id => likesCol(id).count().get().then(snap => snap.data().count)),
+      );
+      return counts.reduce((a, b) => a + b, 0);
+    },
+
+    async listLikes(itineraryId) {
+      const qs = await likesCol(itineraryId).get();
+      return qs.docs.map((doc) => ({ email: doc.id, ...doc.data() }));
+    },
+
+    async listComments(itineraryId) {
+      const qs = await commentsCol(itineraryId).orderBy('created_at', 'asc').get();
+      return qs.docs.map(toComment);
+    },
+
+    async addComment(itineraryId, { email, text, parentId = null, mentions = [] }) {
+      const payload = { email, text, created_at: Date.now(), parent_id: parentId == null ? null : String(parentId), edited_at: null, mentions };
+      const ref = await commentsCol(itineraryId).add(payload);
+      return { id: ref.id, ...payload };
+    },
+
+    async getComment(itineraryId, commentId) {
+      const snap = await commentsCol(itineraryId).doc(String(commentId)).get();
+      return snap.exists ? toComment(snap) : null;
+    },
+
+    async updateComment(itineraryId, commentId, { text, mentions = [] }) {
+      const ref = commentsCol(itineraryId).doc(String(commentId));
+      try {
+        await ref.update({ text, mentions, edited_at: Date.now() });
+      } catch (e) {
+        if (e?.code === 5) return null; // NOT_FOUND
+        throw e;
+      }
+      return toComment(await ref.get());
+    },
+
+    async setCommentHidden(itineraryId, commentId, { hidden, by }) {
+      const ref = commentsCol(itineraryId).doc(String(commentId));
+      try {
+        await ref.update(hidden ? { hidden_at: Date.now(), hidden_by: by } : { hidden_at: null, hidden_by: null });
+      } catch (e) {
+        if (e?.code === 5) return null; // NOT_FOUND
+        throw e;
+      }
+      return toComment(await ref.get());
+    },
+
+    async deleteComment(itineraryId, commentId) {
+      await commentsCol(itineraryId).doc(String(commentId)).delete();
+      return true;
+    },
+
+    // collection group 查詢：Firestore 要有 userLikes.email / items.email 的 collection group 單欄索引
+    async listByUser(email) {
+      const [likes, comments] = await Promise.all([
+        db.collectionGroup('userLikes').where('email', '==', email).get(),
+        db.collectionGroup('items').where('email', '==', email).get(),
+      ]);
+      const itineraryOf = (doc) => doc.ref.parent.parent.id;
+      return {
+        likes: likes.docs.map(doc => ({ itinerary_id: itineraryOf(doc), liked_at: doc.data().liked_at ?? null })),
+        comments: comments.docs
+          .filter(doc => doc.ref.parent.parent?.parent?.id === 'comments')
+          .map(doc => ({ itinerary_id: itineraryOf(doc), id: doc.id, text: doc.data().text, created_at: doc.data().created_at ?? null })),
+      };
+    },
+
+    // 刪帳號用：這個人在所有行程上的讚和留言，回傳刪掉的筆數
+    async deleteByUser(email) {
+      const { likes, comments } = await this.listByUser(email);
+      const refs = [
+        ...likes.map(l => likesCol(l.itinerary_id).doc(email)),
+        ...comments.map(c => commentsCol(c.itinerary_id).doc(c.id)),
+      ];
+      // batch 上限 500 筆
+      for (let i = 0; i < refs.length; i += 400) {
+        const batch = db.batch();
+        refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+      return { likes: likes.length, comments: comments.length };
+    },
+
+    // best-effort 背景清理；失敗只記 log
+    async deleteForItinerary(itineraryId) {
+      if (!itineraryId) return;
+      log('INFO', '[Firestore Cleanup] Starting', { itineraryId });
+      try {
+        await Promise.all([
+          db.recursiveDelete(db.collection('likes').doc(String(itineraryId))),
+          db.recursiveDelete(db.collection('comments').doc(String(itineraryId))),
+        ]);
+        log('INFO', '[Firestore Cleanup] Done', { itineraryId });
+      } catch (err) {
+        log('ERROR', '[Firestore Cleanup] Error', { itineraryId, error: String(err?.message || err) });
+      }
+    },
+  };
+}
+
+module.exports = { createFirestoreSocialRepository };
@@ -0,0 +1,35 @@
+// repositories/index.js — likes / comments 的 repository 層
+// 由 SOCIAL_STORE 決定（firestore | mysql），預設 firestore（跟舊部署相容）。
+//
+// 介面（itineraryId 一律接受字串或數字）：
+//   toggleLike(itineraryId, email)        → true（按讚）/ false（收回）
+//   countLikes(itineraryId)               → number
+//   countLikesFor(itineraryIds)           → 這些行程加起來的讚數（個人檔案統計用）
+//   listLikes(itineraryId)                → [{ email, liked_at }]
+//   listComments(itineraryId)             → [{ id, email, text, created_at, parent_id, edited_at, mentions }]（舊到新）
+//   addComment(itineraryId, { email, text, parentId, mentions }) → 新留言（parentId = 回覆哪一則，沒有就是 null）
+//   getComment(itineraryId, commentId)    → 留言或 null
+//   updateComment(itineraryId, commentId, { text, mentions }) → 改過的留言（edited_at 設成現在）或 null
+//   deleteComment(itineraryId, commentId) → true / false（回覆不會跟著刪，parent 找不到時前端當一般留言顯示）
+//   setCommentHidden(itineraryId, commentId, { hidden, by }) → 管理員隱藏 / 取消隱藏；留言或 null
+// 留言都帶 hidden_at / hidden_by（沒被隱藏是 null）；要不要給誰看由路由決定（hidden_by 只給管理員）。
+//   deleteForItinerary(itineraryId)       → 刪行程後的清理（cascadesWithItinerary 為 true 時不用呼叫）
+//   listByUser(email)                     → 這個人在所有行程上的 { likes: [{ itinerary_id, liked_at }],
+//                                            comments: [{ itinerary_id, id, text, created_at }] }（個人資料匯出用）
+//   deleteByUser(email)                   → 刪掉這個人在所有行程上的讚和留言 → { likes, comments }（刪帳號用）
+// 行程不存在時丟 err.code === 'ITINERARY_NOT_FOUND'（目前只有 MySQL 版會檢查）。
+
+const { createFirestoreSocialRepository } = require('./firestore-social');
+const { createMysqlSocialRepository } = require('./mysql-social');
+
+function createSocialRepository({ env = process.env, db, pool, log }) {
+  const name = (env.SOCIAL_STORE || 'firestore').trim().toLowerCase();
+  let repo;
+  if (name === 'firestore') repo = createFirestoreSocialRepository({ db, log });
+  else if (name === 'mysql') repo = createMysqlSocialRepository({ pool, log });
+  else throw new Error(`Unknown SOCIAL_STORE: ${name}`);
+  log('INFO', '[Social] repository selected', { store: repo.name });
+  return repo;
+}
+
+module.exports = { createSocialRepository };
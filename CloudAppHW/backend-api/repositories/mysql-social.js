@@ -0,0 +1,152 @@
+// repositories/mysql-social.js — likes / comments 存在 MySQL（跟 itineraries 同一個庫）
+// itinerary_likes / itinerary_comments 都有 FK → itineraries(id) ON DELETE CASCADE，
+// 刪行程時資料庫自己會清，不會留下孤兒資料。時間欄位跟 Firestore 版一樣用 epoch ms。
+
+function notFound(itineraryId) {
+  const err = new Error(`Itinerary ${itineraryId} not found`);
+  err.code = 'ITINERARY_NOT_FOUND';
+  return err;
+}
+
+function createMysqlSocialRepository({ pool }) {
+  const toComment = (row) => ({
+    id: String(row.id),
+    email: row.email,
+    text: row.text,
+    created_at: Number(row.created_at),
+    parent_id: row.parent_id == null ? null : String(row.parent_id),
+    edited_at: row.edited_at == null ? null : Number(row.edited_at),
+    mentions: typeof row.mentions === 'string' ? JSON.parse(row.mentions) : (row.mentions || []),
+    hidden_at: row.hidden_at == null ? null : Number(row.hidden_at),
+    hidden_by: row.hidden_by || null,
+  });
+  const COMMENT_COLUMNS = 'id, email, text, created_at, parent_id, edited_at, mentions, hidden_at, hidden_by';
+
+  return {
+    name: 'mysql',
+    cascadesWithItinerary: true,
+
+    async toggleLike(itineraryId, email) {
+      const [del] = await pool.execute(
+        'DELETE FROM itinerary_likes WHERE itinerary_id = ? AND email = ?',
+        [itineraryId, email],
+      );
+      if (del.affectedRows > 0) return false;
+      try {
+        await pool.execute(
+          'INSERT INTO itinerary_likes (itinerary_id, email, liked_at) VALUES (?, ?, ?)',
+          [itineraryId, email, Date.now()],
+        );
+      } catch (e) {
+        // 同一人連點兩次：另一個請求已經 insert 了，結果一樣是 liked
+        if (e?.code === 'ER_DUP_ENTRY') return true;
+        if (e?.code === 'ER_NO_REFERENCED_ROW_2') throw notFound(itineraryId);
+        throw e;
+      }
+      return true;
+    },
+
+    async countLikes(itineraryId) {
+      const [rows] = await pool.execute('SELECT COUNT(*) AS n FROM itinerary_likes WHERE itinerary_id = ?', [itineraryId]);
+      return Number(rows[0].n);
+    },
+
+    async countLikesFor(itineraryIds) {
+      if (itineraryIds.length === 0) return 0;
+      const [rows] = await pool.query('SELECT COUNT(*) AS n FROM itinerary_likes WHERE itinerary_id IN (?)', [itineraryIds]);
+      return Number(rows[0].n);
+    },
+
+    async listLikes(itineraryId) {
+      const [rows] = await pool.execute(
+        'SELECT email, liked_at FROM itinerary_likes WHERE itinerary_id = ? ORDER BY liked_at ASC',
+        [itineraryId],
+      );
+      return rows.map(r => ({ email: r.email, liked_at: Number(r.liked_at) }));
+    },
+
+    async listComments(itineraryId) {
+      const [rows] = await pool.execute(
+        `SELECT ${COMMENT_COLUMNS} FROM itinerary_comments WHERE itinerary_id = ? ORDER BY created_at ASC, id ASC`,
+        [itineraryId],
+      );
+      return rows.map(toComment);
+    },
+
+    async addComment(itineraryId, { email, text, parentId = null, mentions = [] }) {
+      const created_at = Date.now();
+      try {
+        const [result] = await pool.execute(
+          `INSERT INTO itinerary_comments (itinerary_id, email, text, created_at, parent_id, mentions)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [itineraryId, email, text, created_at, parentId, JSON.stringify(mentions)],
+        );
+        return {
+          id: String(result.insertId), email, text, created_at,
+          parent_id: parentId == null ? null : String(parentId), edited_at: null, mentions, hidden_at: null,
+        };
+      } catch (e) {
+        if (e?.code === 'ER_NO_REFERENCED_ROW_2') throw notFound(itineraryId);
+        throw e;
+      }
+    },
+
+    async getComment(itineraryId, commentId) {
+      const [rows] = await pool.execute(
+        `SELECT ${COMMENT_COLUMNS} FROM itinerary_comments WHERE itinerary_id = ? AND id = ?`,
+        [itineraryId, commentId],
+      );
+      return rows.length ? toComment(rows[0]) : null;
+    },
+
+    async updateComment(itineraryId, commentId, { text, mentions = [] }) {
+      const [result] = await pool.execute(
+        'UPDATE itinerary_comments SET text = ?, mentions = ?, edited_at = ? WHERE itinerary_id = ? AND id = ?',
+        [text, JSON.stringify(mentions), Date.now(), itineraryId, commentId],
+      );
+      return result.affectedRows ? this.getComment(itineraryId, commentId) : null;
+    },
+
+    async setCommentHidden(itineraryId, commentId, { hidden, by }) {
+      const [result] = await pool.execute(
+        'UPDATE itinerary_comments SET hidden_at = ?, hidden_by = ? WHERE itinerary_id = ? AND id = ?',
+        [hidden ? Date.now() : null, hidden ? by : null, itineraryId, commentId],
+      );
+      return result.affectedRows ? this.getComment(itineraryId, commentId) : null;
+    },
+
+    async deleteComment(itineraryId, commentId) {
+      const [result] = await pool.execute(
+        'DELETE FROM itinerary_comments WHERE itinerary_id = ? AND id = ?',
+        [itineraryId, commentId],
+      );
+      return result.affectedRows > 0;
+    },
+
+    async listByUser(email) {
+      const [likes] = await pool.execute(
+        'SELECT itinerary_id, liked_at FROM itinerary_likes WHERE email = ? ORDER BY liked_at ASC',
+        [email],
+      );
+      const [comments] = await pool.execute(
+        'SELECT itinerary_id, id, text, created_at FROM itinerary_comments WHERE email = ? ORDER BY created_at ASC, id ASC',
+        [email],
+      );
+      return {
+        likes: likes.map(r => ({ itinerary_id: String(r.itinerary_id), liked_at: Number(r.liked_at) })),
+        comments: comments.map(r => ({ itinerary_id: String(r.itinerary_id), id: String(r.id), text: r.text, created_at: Number(r.created_at) })),
+      };
+    },
+
+    async deleteByUser(email) {
+      const [likes] = await pool.execute('DELETE FROM itinerary_likes WHERE email = ?', [email]);
+      const [comments] = await pool.execute('DELETE FROM itinerary_comments WHERE email = ?', [email]);
+      return { likes: likes.affectedRows, comments: comments.affectedRows };
+    },
+
+    // FK cascade 已經處理，這裡什麼都不用做
+    async deleteForItinerary() {},
+  };
+}
+
+module.exports = { createMysqlSocialRepository };
@@ -0,0 +1,227 @@
+// routes/budget.js — 行程的預算（計畫）與花費（實際），多幣別，用本地的 exchange_rates 換算
+//   GET    /api/exchange-rates                             → { base: 'EUR', rates: [{ currency, rate, updated_at }] }
+//   GET    /api/itineraries/:id/budget?currency=EUR        → 計畫 / 花費明細 + 各分類換算成 currency 的 planned / spent / remaining
+//   PUT    /api/itineraries/:id/budget/:category           → { amount, currency, note } 設定（或覆蓋）這個分類的預算
+//   DELETE /api/itineraries/:id/budget/:category
+//   POST   /api/itineraries/:id/expenses                   → { category, amount, currency, description, spent_on }
+//   PUT    /api/itineraries/:id/expenses/:expenseId
+//   DELETE /api/itineraries/:id/expenses/:expenseId
+// 金額是私人資訊：看要有角色（viewer 以上），改要 editor 以上；public 行程的路人看不到。
+
+const { normalizeDate } = require('../itinerary-input');
+
+const BASE_CURRENCY = 'EUR';
+const BUDGET_CATEGORIES = ['transport', 'lodging', 'food', 'activities', 'shopping', 'other'];
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const MAX_AMOUNT = 9999999999.99; // DECIMAL(12, 2)
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function registerBudgetRoutes(app, { pool, log, verifyFirebaseToken, access }) {
+  // ── 匯率 ──────────────────────────────────────────────────────
+  async function loadRates() {
+    const [rows] = await pool.query('SELECT currency, rate, updated_at FROM exchange_rates ORDER BY currency');
+    return rows.map(r => ({ currency: r.currency, rate: Number(r.rate), updated_at: Number(r.updated_at) }));
+  }
+
+  // rate = 1 EUR 換多少該幣別；先換回 EUR 再換成目標幣別
+  function converter(rates, target) {
+    const byCode = new Map(rates.map(r => [r.currency, r.rate]));
+    const to = byCode.get(target);
+    return (amount, from) => {
+      const rate = byCode.get(from);
+      if (!rate || !to) return null;
+      return round2((Number(amount) / rate) * to);
+    };
+  }
+
+  // ── 共用：驗證輸入 ──────────────────────────────────────────────
+  function parseMoney(body = {}, rateCodes) {
+    const amount = Number(body.amount);
+    const currency = (body.currency ?? '').toString().trim().toUpperCase();
+    if (!Number.isFinite(amount) || amount < 0) return { error: 'Amount must be a number ≥ 0.' };
+    if (amount > MAX_AMOUNT) return { error: 'Amount too large.' };
+    if (!CURRENCY_RE.test(currency)) return { error: 'Currency must be a 3-letter code like EUR.' };
+    if (!rateCodes.has(currency)) return { error: `No exchange rate for ${currency}.` };
+    return { amount: round2(amount), currency };
+  }
+  function parseCategory(value) {
+    const category = (value ?? '').toString().trim().toLowerCase();
+    if (!BUDGET_CATEGORIES.includes(category)) return { error: `Category must be one of: ${BUDGET_CATEGORIES.join(', ')}.` };
+    return { category };
+  }
+  async function parseExpense(body = {}) {
+    const c = parseCategory(body.category);
+    if (c.error) return c;
+    const rates = await loadRates();
+    const m = parseMoney(body, new Set(rates.map(r => r.currency)));
+    if (m.error) return m;
+    const description = (body.description ?? '').toString().trim();
+    const spentOn = body.spent_on ? normalizeDate(body.spent_on) : null; // 跟行程日期同一套：2025-02-30 這種不收
+    if (description.length > 255) return { error: 'Description too long (max 255).' };
+    if (body.spent_on && !spentOn) return { error: 'spent_on must be a valid date (YYYY-MM-DD).' };
+    return { ...c, ...m, description, spent_on: spentOn };
+  }
+
+  const permission = (check, message) => async (req, res, next) => {
+    try {
+      if (!(await check(req.params.id, req.user?.email))) return res.status(403).send({ message });
+      return next();
+    } catch (err) {
+      log('ERROR', '[BUDGET] permission check error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error checking permissions.' });
+    }
+  };
+  const requireViewer = permission(access.canView, 'Only collaborators can see the budget of this itinerary.');
+  const requireEditor = permission(access.canEdit, 'You are not allowed to edit this itinerary.');
+
+  app.get('/api/exchange-rates', async (req, res) => {
+    try {
+      return res.send({ base: BASE_CURRENCY, rates: await loadRates() });
+    } catch (err) {
+      log('ERROR', '[BUDGET] rates error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load exchange rates.' });
+    }
+  });
+
+  // ── 總覽 ───────────────────────────────────────────────────────
+  app.get('/api/itineraries/:id/budget', verifyFirebaseToken, requireViewer, async (req, res) => {
+    const { id } = req.params;
+    const currency = (req.query.currency || BASE_CURRENCY).toString().toUpperCase();
+    try {
+      const rates = await loadRates();
+      if (!rates.some(r => r.currency === currency)) return res.status(400).send({ message: `No exchange rate for ${currency}.` });
+      const convert = converter(rates, currency);
+
+      const [budgetRows] = await pool.execute(
+        `SELECT category, amount, currency, note, updated_by, updated_at
+         FROM itinerary_budgets WHERE itinerary_id = ? ORDER BY category`,
+        [id],
+      );
+      const [expenseRows] = await pool.execute(
+        `SELECT id, category, amount, currency, description, DATE_FORMAT(spent_on, '%Y-%m-%d') AS spent_on, created_by, created_at
+         FROM itinerary_expenses WHERE itinerary_id = ? ORDER BY spent_on IS NULL, spent_on, id`,
+        [id],
+      );
+      const budgets = budgetRows.map(r => ({
+        ...r, amount: Number(r.amount), updated_at: Number(r.updated_at), converted: convert(r.amount, r.currency),
+      }));
+      const expenses = expenseRows.map(r => ({
+        ...r, amount: Number(r.amount), created_at: Number(r.created_at), converted: convert(r.amount, r.currency),
+      }));
+
+      const categories = BUDGET_CATEGORIES.map((category) => {
+        const b = budgets.find(x => x.category === category);
+        const planned = b ? b.converted ?? 0 : null;
+        const spent = round2(expenses.filter(e => e.category === category).reduce((sum, e) => sum + (e.converted ?? 0), 0));
+        return { category, planned, spent, remaining: planned == null ? null : round2(planned - spent) };
+      });
+      const planned = round2(categories.reduce((sum, c) => sum + (c.planned ?? 0), 0));
+      const spent = round2(categories.reduce((sum, c) => sum + c.spent, 0));
+
+      return res.send({
+        currency,
+        categories,
+        total: { planned, spent, remaining: round2(planned - spent) },
+        budgets,
+        expenses,
+        rates_updated_at: Math.max(0, ...rates.map(r => r.updated_at)),
+      });
+    } catch (err) {
+      log('ERROR', '[BUDGET] summary error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load budget.' });
+    }
+  });
+
+  // ── 預算（每個分類一筆）─────────────────────────────────────────
+  app.put('/api/itineraries/:id/budget/:category', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id } = req.params;
+    const c = parseCategory(req.params.category);
+    if (c.error) return res.status(400).send({ message: c.error });
+    const note = (req.body?.note ?? '').toString().trim();
+    if (note.length > 255) return res.status(400).send({ message: 'Note too long (max 255).' });
+    try {
+      const rates = await loadRates();
+      const m = parseMoney(req.body, new Set(rates.map(r => r.currency)));
+      if (m.error) return res.status(400).send({ message: m.error });
+      await pool.execute(
+        `INSERT INTO itinerary_budgets (itinerary_id, category, amount, currency, note, updated_by, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE amount = VALUES(amount), currency = VALUES(currency), note = VALUES(note),
+           updated_by = VALUES(updated_by), updated_at = VALUES(updated_at)`,
+        [id, c.category, m.amount, m.currency, note, req.user?.email || null, Date.now()],
+      );
+      log('INFO', '[BUDGET] planned set', { id, category: c.category, by: req.user?.email });
+      return res.send({ category: c.category, ...m, note });
+    } catch (err) {
+      log('ERROR', '[BUDGET] set error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to save budget.' });
+    }
+  });
+
+  app.delete('/api/itineraries/:id/budget/:category', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, category } = req.params;
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM itinerary_budgets WHERE itinerary_id = ? AND category = ?',
+        [id, String(category).toLowerCase()],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Budget not found.' });
+      return res.send({ message: 'Budget removed.' });
+    } catch (err) {
+      log('ERROR', '[BUDGET] delete error', { id, category, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to remove budget.' });
+    }
+  });
+
+  // ── 花費 ───────────────────────────────────────────────────────
+  app.post('/api/itineraries/:id/expenses', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const e = await parseExpense(req.body);
+      if (e.error) return res.status(400).send({ message: e.error });
+      const now = Date.now();
+      const [result] = await pool.execute(
+        `INSERT INTO itinerary_expenses (itinerary_id, category, amount, currency, description, spent_on, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, e.category, e.amount, e.currency, e.description, e.spent_on, req.user?.email || null, now],
+      );
+      return res.status(201).send({ id: result.insertId, ...e, created_by: req.user?.email || null, created_at: now });
+    } catch (err) {
+      log('ERROR', '[EXPENSES] create error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to add expense.' });
+    }
+  });
+
+  app.put('/api/itineraries/:id/expenses/:expenseId', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, expenseId } = req.params;
+    try {
+      const e = await parseExpense(req.body);
+      if (e.error) return res.status(400).send({ message: e.error });
+      const [result] = await pool.execute(
+        `UPDATE itinerary_expenses SET category = ?, amount = ?, currency = ?, description = ?, spent_on = ?
+         WHERE id = ? AND itinerary_id = ?`,
+        [e.category, e.amount, e.currency, e.description, e.spent_on, expenseId, id],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Expense not found.' });
+      return res.send({ message: 'Expense updated.' });
+    } catch (err) {
+      log('ERROR', '[EXPENSES] update error', { id, expenseId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update expense.' });
+    }
+  });
+
+  app.delete('/api/itineraries/:id/expenses/:expenseId', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, expenseId } = req.params;
+    try {
+      const [result] = await pool.execute('DELETE FROM itinerary_expenses WHERE id = ? AND itinerary_id = ?', [expenseId, id]);
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Expense not found.' });
+      return res.send({ message: 'Expense deleted.' });
+    } catch (err) {
+      log('ERROR', '[EXPENSES] delete error', { id, expenseId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to delete expense.' });
+    }
+  });
+}
+
+module.exports = { registerBudgetRoutes, BUDGET_CATEGORIES, BASE_CURRENCY };
@@ -0,0 +1,138 @@
+// routes/calendar.js — 行程匯出成 iCalendar（.ics）與可訂閱的日曆連結
+//   GET    /api/itineraries/:id/calendar.ics   → 單一行程（讀取權限跟行程一樣）
+//   GET    /api/calendar/feed                  → 登入者的訂閱連結 { url, webcal }；第一次呼叫時產生 token
+//   POST   /api/calendar/feed/rotate           → 換一組 token（舊連結立刻失效）
+//   DELETE /api/calendar/feed                  → 關掉訂閱連結
+//   GET    /api/calendar/feed/:token.ics       → 不用登入：token 主人建立的行程 + 已接受的共同編輯行程
+// 連結的網址用 PUBLIC_API_BASE_URL，沒設就用這個請求的 host。
+
+const crypto = require('crypto');
+const { tripEvent, buildCalendar } = require('../calendar/ics');
+
+const TOKEN_RE = /^[A-Za-z0-9_-]{20,64}$/;
+const FEED_LIMIT = 500;
+
+const TRIP_COLUMNS = `i.id, i.title, i.destination, i.short_description, i.detail_description, i.visibility,
+  DATE_FORMAT(i.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(i.end_date, '%Y-%m-%d') AS end_date`;
+
+function registerCalendarRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, requireReadable, env = process.env }) {
+  const newToken = () => crypto.randomBytes(24).toString('base64url');
+
+  function feedUrls(req, token) {
+    const proto = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim(); // Cloud Run 前面有 proxy
+    const base = (env.PUBLIC_API_BASE_URL || `${proto}://${req.get('host')}`).replace(/\/+$/, '');
+    const url = `${base}/api/calendar/feed/${token}.ics`;
+    return { url, webcal: url.replace(/^https?:\/\//, 'webcal://') };
+  }
+
+  function sendIcs(res, body, { filename, cache }) {
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `${filename ? 'attachment' : 'inline'}; filename="${filename || 'trips.ics'}"`,
+      'Cache-Control': cache,
+    });
+    return res.send(body);
+  }
+
+  app.get('/api/itineraries/:id/calendar.ics', optionalFirebaseToken, requireReadable, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const [rows] = await pool.execute(`SELECT ${TRIP_COLUMNS} FROM itineraries i WHERE i.id = ?`, [id]);
+      if (rows.length === 0) return res.status(404).send({ message: 'Itinerary not found.' });
+      const it = rows[0];
+      const body = buildCalendar({ name: it.title, events: [tripEvent(it)] });
+      const slug = String(it.title).replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'trip';
+      return sendIcs(res, body, { filename: `${slug}-${it.id}.ics`, cache: 'private, no-cache' });
+    } catch (err) {
+      log('ERROR', '[CALENDAR] export error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to export calendar.' });
+    }
+  });
+
+  // ── 訂閱連結 ───────────────────────────────────────────────────
+  async function tokenFor(email) {
+    const [rows] = await pool.execute('SELECT calendar_token FROM travellers WHERE email = ?', [email]);
+    if (rows.length === 0) return { missing: true };
+    return { token: rows[0].calendar_token };
+  }
+
+  async function setToken(email, token) {
+    await pool.execute('UPDATE travellers SET calendar_token = ? WHERE email = ?', [token, email]);
+  }
+
+  app.get('/api/calendar/feed', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    try {
+      const current = await tokenFor(email);
+      if (current.missing) return res.status(404).send({ message: 'Traveller not found.' });
+      let token = current.token;
+      if (!token) {
+        token = newToken();
+        await setToken(email, token);
+        log('INFO', '[CALENDAR] feed enabled', { email });
+      }
+      return res.send(feedUrls(req, token));
+    } catch (err) {
+      log('ERROR', '[CALENDAR] feed url error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to get calendar feed.' });
+    }
+  });
+
+  app.post('/api/calendar/feed/rotate', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    try {
+      const current = await tokenFor(email);
+      if (current.missing) return res.status(404).send({ message: 'Traveller not found.' });
+      const token = newToken();
+      await setToken(email, token);
+      log('INFO', '[CALENDAR] feed rotated', { email });
+      return res.send(feedUrls(req, token));
+    } catch (err) {
+      log('ERROR', '[CALENDAR] rotate error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to reset calendar feed.' });
+    }
+  });
+
+  app.delete('/api/calendar/feed', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    try {
+      await setToken(email, null);
+      log('INFO', '[CALENDAR] feed disabled', { email });
+      return res.send({ message: 'Calendar feed disabled.' });
+    } catch (err) {
+      log('ERROR', '[CALENDAR] disable error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to disable calendar feed.' });
+    }
+  });
+
+  // 日曆 app 會定期來抓；token 不對一律 404，不透露是哪裡錯
+  app.get('/api/calendar/feed/:file', async (req, res) => {
+    const match = String(req.params.file).match(/^(.+)\.ics$/);
+    const token = match ? match[1] : '';
+    if (!TOKEN_RE.test(token)) return res.status(404).send({ message: 'Calendar not found.' });
+    try {
+      const [owners] = await pool.execute('SELECT id, email, name FROM travellers WHERE calendar_token = ?', [token]);
+      if (owners.length === 0) return res.status(404).send({ message: 'Calendar not found.' });
+      const owner = owners[0];
+      const [rows] = await pool.execute(
+        `SELECT ${TRIP_COLUMNS}
+         FROM itineraries i
+         WHERE i.traveller_id = ?
+            OR EXISTS (SELECT 1 FROM itinerary_collaborators c
+                       WHERE c.itinerary_id = i.id AND c.email = ? AND c.status = 'accepted')
+         ORDER BY i.start_date DESC, i.id DESC
+         LIMIT ${FEED_LIMIT}`,
+        [owner.id, owner.email],
+      );
+      const stamp = Date.now();
+      const body = buildCalendar({ name: `${owner.name || owner.email} – Trips`, events: rows.map(it => tripEvent(it, { stamp })) });
+      log('INFO', '[CALENDAR] feed served', { reqId: req._reqId, traveller: owner.id, trips: rows.length });
+      return sendIcs(res, body, { cache: 'private, max-age=300' });
+    } catch (err) {
+      log('ERROR', '[CALENDAR] feed error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to build calendar feed.' });
+    }
+  });
+}
+
+module.exports = { registerCalendarRoutes };
@@ -0,0 +1,177 @@
+// routes/collaborators.js — 行程共同編輯者（邀請 / 接受 / 撤銷 / 改角色）
+//   GET    /api/itineraries/:id/collaborators          → { owner, myRole, myStatus, items }（有角色或被邀請的人才看得到）
+//   POST   /api/itineraries/:id/collaborators          → { email, role } 邀請（已存在就改角色）；owner 限定，新邀請會通知對方
+//   PUT    /api/itineraries/:id/collaborators/:email   → { role } 改角色；owner 限定
+//   DELETE /api/itineraries/:id/collaborators/:email   → owner 撤銷，或本人拒絕邀請 / 退出
+//   POST   /api/itineraries/:id/collaborators/accept   → 登入者接受自己的邀請
+//   GET    /api/collaborations/invites                 → 登入者還沒處理的邀請
+
+const { ROLES } = require('../access');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function registerCollaboratorRoutes(app, { pool, log, verifyFirebaseToken, access, notifier }) {
+  const toItem = (r) => ({
+    email: r.email,
+    role: r.role,
+    status: r.status,
+    invited_by: r.invited_by,
+    invited_at: Number(r.invited_at),
+    accepted_at: r.accepted_at == null ? null : Number(r.accepted_at),
+  });
+
+  async function creatorOf(itineraryId) {
+    const [rows] = await pool.execute(
+      'SELECT t.email FROM itineraries i JOIN travellers t ON i.traveller_id = t.id WHERE i.id = ?',
+      [itineraryId],
+    );
+    return rows.length ? rows[0].email : null;
+  }
+
+  async function requireOwner(req, res, next) {
+    try {
+      if (!(await access.canManage(req.params.id, req.user?.email))) {
+        return res.status(403).send({ message: 'Only owners can manage collaborators.' });
+      }
+      return next();
+    } catch (err) {
+      log('ERROR', '[COLLAB] permission check error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error checking permissions.' });
+    }
+  }
+
+  app.get('/api/itineraries/:id/collaborators', verifyFirebaseToken, async (req, res) => {
+    const { id } = req.params;
+    const email = req.user?.email;
+    try {
+      const owner = await creatorOf(id);
+      if (!owner) return res.status(404).send({ message: 'Itinerary not found.' });
+      const [rows] = await pool.execute(
+        `SELECT email, role, status, invited_by, invited_at, accepted_at
+         FROM itinerary_collaborators WHERE itinerary_id = ? ORDER BY invited_at ASC`,
+        [id],
+      );
+      const items = rows.map(toItem);
+      const mine = items.find(c => c.email === email);
+      const myRole = owner === email ? 'owner' : (mine?.status === 'accepted' ? mine.role : null);
+      if (!myRole && !mine) return res.status(403).send({ message: 'You are not a collaborator on this itinerary.' });
+      return res.send({ owner, myRole, myStatus: owner === email ? 'accepted' : mine.status, items });
+    } catch (err) {
+      log('ERROR', '[COLLAB] list error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load collaborators.' });
+    }
+  });
+
+  app.post('/api/itineraries/:id/collaborators', verifyFirebaseToken, requireOwner, async (req, res) => {
+    const { id } = req.params;
+    const email = (req.body?.email || '').toString().trim().toLowerCase();
+    const role = (req.body?.role || 'viewer').toString();
+    if (!EMAIL_RE.test(email) || email.length > 255) return res.status(400).send({ message: 'A valid email is required.' });
+    if (!ROLES.includes(role)) return res.status(400).send({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    try {
+      if ((await creatorOf(id)) === email) return res.status(400).send({ message: 'The creator is already the owner.' });
+      const now = Date.now();
+      const [result] = await pool.execute(
+        `INSERT INTO itinerary_collaborators (itinerary_id, email, role, status, invited_by, invited_at)
+         VALUES (?, ?, ?, 'pending', ?, ?)
+         ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+        [id, email, role, req.user.email, now],
+      );
+      // affectedRows：1 = 新邀請，2 = 已存在、角色有變，0 = 完全沒變
+      const created = result.affectedRows === 1;
+      log('INFO', '[COLLAB] invite', { id, email, role, created });
+      if (created) notifier.notify({ type: 'invite', recipient: email, actor: req.user.email, itineraryId: Number(id), data: { role } });
+      const [rows] = await pool.execute(
+        `SELECT email, role, status, invited_by, invited_at, accepted_at
+         FROM itinerary_collaborators WHERE itinerary_id = ? AND email = ?`,
+        [id, email],
+      );
+      return res.status(created ? 201 : 200).send(toItem(rows[0]));
+    } catch (err) {
+      log('ERROR', '[COLLAB] invite error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to invite collaborator.' });
+    }
+  });
+
+  app.post('/api/itineraries/:id/collaborators/accept', verifyFirebaseToken, async (req, res) => {
+    const { id } = req.params;
+    const email = req.user?.email;
+    try {
+      const [result] = await pool.execute(
+        `UPDATE itinerary_collaborators SET status = 'accepted', accepted_at = ?
+         WHERE itinerary_id = ? AND email = ? AND status = 'pending'`,
+        [Date.now(), id, email],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'No pending invitation for this itinerary.' });
+      log('INFO', '[COLLAB] accepted', { id, email });
+      return res.send({ message: 'Invitation accepted.' });
+    } catch (err) {
+      log('ERROR', '[COLLAB] accept error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to accept invitation.' });
+    }
+  });
+
+  app.put('/api/itineraries/:id/collaborators/:email', verifyFirebaseToken, requireOwner, async (req, res) => {
+    const { id, email } = req.params;
+    const role = (req.body?.role || '').toString();
+    if (!ROLES.includes(role)) return res.status(400).send({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+    try {
+      const [result] = await pool.execute(
+        'UPDATE itinerary_collaborators SET role = ? WHERE itinerary_id = ? AND email = ?',
+        [role, id, email],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Collaborator not found.' });
+      return res.send({ message: 'Role updated.', email, role });
+    } catch (err) {
+      log('ERROR', '[COLLAB] role update error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update role.' });
+    }
+  });
+
+  app.delete('/api/itineraries/:id/collaborators/:email', verifyFirebaseToken, async (req, res) => {
+    const { id, email } = req.params;
+    try {
+      // 自己可以拒絕邀請或退出；移除別人要 owner
+      if (email !== req.user?.email && !(await access.canManage(id, req.user?.email))) {
+        return res.status(403).send({ message: 'Only owners can remove collaborators.' });
+      }
+      const [result] = await pool.execute(
+        'DELETE FROM itinerary_collaborators WHERE itinerary_id = ? AND email = ?',
+        [id, email],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Collaborator not found.' });
+      log('INFO', '[COLLAB] revoked', { id, email, by: req.user?.email });
+      return res.send({ message: 'Collaborator removed.' });
+    } catch (err) {
+      log('ERROR', '[COLLAB] revoke error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to remove collaborator.' });
+    }
+  });
+
+  app.get('/api/collaborations/invites', verifyFirebaseToken, async (req, res) => {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT c.itinerary_id, c.role, c.invited_by, c.invited_at, i.title, i.destination
+         FROM itinerary_collaborators c JOIN itineraries i ON i.id = c.itinerary_id
+         WHERE c.email = ? AND c.status = 'pending'
+         ORDER BY c.invited_at DESC`,
+        [req.user?.email],
+      );
+      return res.send({
+        items: rows.map(r => ({
+          itinerary_id: r.itinerary_id,
+          title: r.title,
+          destination: r.destination,
+          role: r.role,
+          invited_by: r.invited_by,
+          invited_at: Number(r.invited_at),
+        })),
+      });
+    } catch (err) {
+      log('ERROR', '[COLLAB] invites error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load invitations.' });
+    }
+  });
+}
+
+module.exports = { registerCollaboratorRoutes };
@@ -0,0 +1,122 @@
+// routes/follows.js — 追蹤旅人
+//   POST   /api/travellers/:id/follow       → 追蹤 { following: true, followers }
+//   DELETE /api/travellers/:id/follow       → 取消追蹤 { following: false, followers }
+//   GET    /api/travellers/:id/followers    → 追蹤這個人的人 { items, nextCursor, total }
+//   GET    /api/travellers/:id/following    → 這個人追蹤的人 { items, nextCursor, total }
+// :id 跟 routes/travellers.js 一樣可以是數字 id、email 或 me。列表新到舊，cursor 是不透明字串（keyset）。
+// 追蹤的人的公開行程在 GET /api/feed（server.js，跟其他行程列表共用 listItineraries）。
+
+const { findTraveller } = require('./travellers');
+
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+
+function registerFollowRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, rateLimit }) {
+  const encodeCursor = (row) => Buffer.from(JSON.stringify({ v: Number(row.followed_at), id: row.id })).toString('base64url');
+  function decodeCursor(cursor) {
+    try {
+      const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (c && Number.isInteger(c.v) && Number.isInteger(c.id)) return c;
+    } catch (_) { /* fallthrough */ }
+    return null;
+  }
+
+  async function countFollowers(travellerId) {
+    const [[{ n }]] = await pool.execute('SELECT COUNT(*) AS n FROM traveller_follows WHERE followee_id = ?', [travellerId]);
+    return Number(n);
+  }
+
+  // 追蹤 / 取消追蹤共用：找出雙方的 travellers 列
+  async function resolvePair(req, res) {
+    const email = req.user?.email;
+    const [me, target] = await Promise.all([findTraveller(pool, 'me', email), findTraveller(pool, req.params.id, email)]);
+    if (!me) {
+      res.status(404).send({ message: 'Your traveller profile does not exist yet.' });
+      return null;
+    }
+    if (!target) {
+      res.status(404).send({ message: 'Traveller not found.' });
+      return null;
+    }
+    if (me.id === target.id) {
+      res.status(400).send({ message: 'You cannot follow yourself.' });
+      return null;
+    }
+    return { me, target };
+  }
+
+  app.post('/api/travellers/:id/follow', verifyFirebaseToken, rateLimit('social'), async (req, res) => {
+    try {
+      const pair = await resolvePair(req, res);
+      if (!pair) return;
+      // 已經追蹤了就當成功（連點兩次）
+      await pool.execute(
+        'INSERT IGNORE INTO traveller_follows (follower_id, followee_id, created_at) VALUES (?, ?, ?)',
+        [pair.me.id, pair.target.id, Date.now()],
+      );
+      log('INFO', '[FOLLOW] follow', { follower: pair.me.id, followee: pair.target.id });
+      return res.send({ following: true, followers: await countFollowers(pair.target.id) });
+    } catch (err) {
+      log('ERROR', '[FOLLOW] follow error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to follow traveller.' });
+    }
+  });
+
+  app.delete('/api/travellers/:id/follow', verifyFirebaseToken, rateLimit('social'), async (req, res) => {
+    try {
+      const pair = await resolvePair(req, res);
+      if (!pair) return;
+      await pool.execute('DELETE FROM traveller_follows WHERE follower_id = ? AND followee_id = ?', [pair.me.id, pair.target.id]);
+      log('INFO', '[FOLLOW] unfollow', { follower: pair.me.id, followee: pair.target.id });
+      return res.send({ following: false, followers: await countFollowers(pair.target.id) });
+    } catch (err) {
+      log('ERROR', '[FOLLOW] unfollow error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to unfollow traveller.' });
+    }
+  });
+
+  // direction：followers → 列出 follower 那一邊；following → 列出 followee 那一邊
+  const listHandler = (direction) => async (req, res) => {
+    const limitNum = parseInt(req.query.limit, 10);
+    const limit = Number.isInteger(limitNum) && limitNum > 0 ? Math.min(limitNum, LIST_MAX_LIMIT) : LIST_DEFAULT_LIMIT;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).send({ message: 'Invalid cursor.' });
+    const [self, other] = direction === 'followers' ? ['followee_id', 'follower_id'] : ['follower_id', 'followee_id'];
+    try {
+      const target = await findTraveller(pool, req.params.id, req.user?.email);
+      if (!target) return res.status(404).send({ message: 'Traveller not found.' });
+
+      const where = [`f.${self} = ?`];
+      const params = [target.id];
+      if (cursor) {
+        where.push('(f.created_at < ? OR (f.created_at = ? AND t.id < ?))');
+        params.push(cursor.v, cursor.v, cursor.id);
+      }
+      // limit 已經驗證成整數，直接嵌進 SQL
+      const [rows] = await pool.execute(
+        `SELECT t.id, t.email, t.name, t.home_city, f.created_at AS followed_at
+         FROM traveller_follows f JOIN travellers t ON t.id = f.${other}
+         WHERE ${where.join(' AND ')}
+         ORDER BY f.created_at DESC, t.id DESC
+         LIMIT ${limit + 1}`,
+        params,
+      );
+      const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM traveller_follows WHERE ${self} = ?`, [target.id]);
+      const hasMore = rows.length > limit;
+      const page = hasMore ? rows.slice(0, limit) : rows;
+      return res.send({
+        items: page.map(r => ({ ...r, home_city: r.home_city || '', followed_at: Number(r.followed_at) })),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        total: Number(total),
+      });
+    } catch (err) {
+      log('ERROR', `[FOLLOW] ${direction} list error`, { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: `Failed to load ${direction}.` });
+    }
+  };
+
+  app.get('/api/travellers/:id/followers', optionalFirebaseToken, listHandler('followers'));
+  app.get('/api/travellers/:id/following', optionalFirebaseToken, listHandler('following'));
+}
+
+module.exports = { registerFollowRoutes };
@@ -0,0 +1,123 @@
+// routes/import.js — 從檔案一次匯入多個行程
+//   POST /api/itineraries/import   multipart：file / files（.json、.csv、.ics，最多 5 個，每個 1 MB）
+//     dry_run=true       只檢查、不寫入，回傳每一列的結果（前端的預覽）
+//     skip_invalid=true  有錯的列跳過，其餘照樣寫入；沒帶的話只要有一列錯就整批不寫（422）
+//   回傳 { dry_run, total, valid, invalid, created, ai_queued, files: [{ name, format, rows, error }],
+//          rows: [{ file, line, ok, errors, itinerary, id, ai_queued }] }
+// 每一列的檢查跟 POST /api/itineraries 一樣（parseItineraryInput）；寫入在同一個 transaction 裡。
+// AI 建議只幫前 IMPORT_AI_MAX_JOBS 個新行程排 job（每個 job 最多打三次 provider，200 列全排等於灌爆 provider）；
+// 其餘的在行程頁按「Generate」再產生（POST /ai/regenerate）。
+// 限流：每個會排 AI job 的新行程扣一個 ai token，寫入之前先扣，不夠就 429、一列都不寫；dry_run 不扣；
+// 扣了之後沒寫成（404、rollback 的 500）就退回去。
+
+const multer = require('multer');
+const { parseImportFile } = require('../importers');
+
+const MAX_FILES = 5;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_ROWS = 200;
+const IMPORT_AI_MAX_JOBS = 5;
+
+const truthy = (v) => ['1', 'true', 'yes', 'on'].includes(String(v ?? '').toLowerCase());
+
+function registerImportRoutes(app, { pool, log, verifyFirebaseToken, rateLimiter, parseItineraryInput, enqueueAiSuggestion }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: MAX_FILES, fileSize: MAX_FILE_BYTES },
+  }).fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: MAX_FILES }]);
+
+  // multer 的錯誤（檔案太大、太多）回 400，不要變成 500
+  function receiveFiles(req, res, next) {
+    upload(req, res, (err) => {
+      if (!err) return next();
+      const message = err.code === 'LIMIT_FILE_SIZE' ? `Each file must be at most ${MAX_FILE_BYTES / 1024} KB.`
+        : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE' ? `Upload at most ${MAX_FILES} files as "file" or "files".`
+          : 'Invalid upload.';
+      return res.status(400).send({ message });
+    });
+  }
+
+  app.post('/api/itineraries/import', verifyFirebaseToken, receiveFiles, async (req, res) => {
+    const email = req.user?.email;
+    const dryRun = truthy(req.body?.dry_run ?? req.query.dry_run);
+    const skipInvalid = truthy(req.body?.skip_invalid ?? req.query.skip_invalid);
+    const uploaded = [...(req.files?.file || []), ...(req.files?.files || [])];
+    if (uploaded.length === 0) return res.status(400).send({ message: 'Attach at least one .json, .csv or .ics file.' });
+
+    // ── 解析 + 逐列檢查 ───────────────────────────────────────────
+    const files = [];
+    const rows = [];
+    for (const f of uploaded) {
+      const parsed = parseImportFile(f);
+      files.push({ name: f.originalname, format: parsed.format, rows: parsed.rows?.length || 0, error: parsed.error || null });
+      for (const r of parsed.rows || []) {
+        const { errors, value } = parseItineraryInput(r.data);
+        rows.push({ file: f.originalname, line: r.line, ok: errors.length === 0, errors, itinerary: value, id: null });
+      }
+    }
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).send({ message: `Too many rows (${rows.length}); import at most ${MAX_ROWS} at a time.` });
+    }
+    const valid = rows.filter(r => r.ok);
+    const fileErrors = files.filter(f => f.error).length;
+    const report = (extra = {}) => ({
+      dry_run: dryRun, total: rows.length, valid: valid.length, invalid: rows.length - valid.length, created: 0, ai_queued: 0, files, rows, ...extra,
+    });
+
+    if (dryRun) return res.send(report());
+    if ((rows.length !== valid.length || fileErrors) && !skipInvalid) {
+      return res.status(422).send(report({ message: 'Some rows are invalid. Fix them, or import again with skip_invalid=true.' }));
+    }
+    if (valid.length === 0) return res.status(400).send(report({ message: 'Nothing to import.' }));
+
+    // 設定的 ai 桶子比 IMPORT_AI_MAX_JOBS 小時，扣超過 capacity 永遠不會過 → 只排得到 capacity 個
+    const aiCount = Math.min(valid.length, IMPORT_AI_MAX_JOBS, rateLimiter.capacity('ai'));
+    const charge = await rateLimiter.consume(req, 'ai', aiCount);
+    if (!charge.allowed) return rateLimiter.reject(req, res, 'ai', charge);
+
+    // ── 寫入（全部成功或全部不寫）──────────────────────────────────
+    let conn;
+    try {
+      const [traveller] = await pool.execute('SELECT id FROM travellers WHERE email = ?', [email]);
+      if (traveller.length === 0) {
+        await rateLimiter.refund(req, 'ai', charge);
+        return res.status(404).send({ message: 'Traveller not found with this email.' });
+      }
+      const travellerId = traveller[0].id;
+
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+      for (const r of valid) {
+        const v = r.itinerary;
+        const [result] = await conn.execute(
+          'INSERT INTO itineraries (traveller_id, title, destination, start_date, end_date, short_description, detail_description, visibility) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [travellerId, v.title, v.destination, v.start_date, v.end_date, v.short_description, v.detail_description, v.visibility],
+        );
+        r.id = result.insertId;
+      }
+      await conn.commit();
+    } catch (err) {
+      if (conn) await conn.rollback().catch(() => {});
+      valid.forEach((r) => { r.id = null; });
+      await rateLimiter.refund(req, 'ai', charge);
+      log('ERROR', '[IMPORT] insert failed', { email, rows: valid.length, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error during import. Nothing was imported.' });
+    } finally {
+      conn?.release();
+    }
+    const withAi = valid.slice(0, aiCount);
+    withAi.forEach((r) => { r.ai_queued = true; });
+    log('INFO', '[IMPORT] itineraries imported', {
+      email, created: valid.length, skipped: rows.length - valid.length, aiQueued: withAi.length, formats: files.map(f => f.format),
+    });
+    res.status(201).send(report({ created: valid.length, ai_queued: withAi.length }));
+
+    // AI 建議走 job queue，回應之後再慢慢排
+    for (const r of withAi) {
+      await enqueueAiSuggestion(r.id, { reason: 'import' })
+        .catch(err => log('ERROR', '[IMPORT] AI enqueue failed', { id: r.id, error: String(err?.message || err) }));
+    }
+  });
+}
+
+module.exports = { registerImportRoutes };
@@ -0,0 +1,243 @@
+// routes/itinerary-days.js — 行程的逐日計畫（days / activities）巢狀 CRUD
+//   GET    /api/itineraries/:id/days                               → 全部 days（含 activities）
+//   POST   /api/itineraries/:id/days                               → 新增一天（接在最後）
+//   PUT    /api/itineraries/:id/days/order                         → { dayIds: [...] } 重新排序
+//   PUT    /api/itineraries/:id/days/:dayId                        → 改標題 / 日期
+//   DELETE /api/itineraries/:id/days/:dayId
+//   POST   /api/itineraries/:id/days/:dayId/activities             → 新增活動（接在最後）
+//   PUT    /api/itineraries/:id/days/:dayId/activities/order       → { activityIds: [...] }
+//   PUT    /api/itineraries/:id/days/:dayId/activities/:activityId → 改內容，可帶 day_id 移到別天
+//   DELETE /api/itineraries/:id/days/:dayId/activities/:activityId
+// 讀取跟行程可見度一樣（requireReadable）；寫入需要能編輯該行程（canEditItinerary）。
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function registerItineraryDayRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, requireReadable, canEditItinerary }) {
+  // ── 共用：驗證輸入 ──────────────────────────────────────────────
+  function parseDay(body = {}) {
+    const title = (body.title ?? '').toString().trim();
+    const date = body.date ? String(body.date) : null;
+    if (title.length > 255) return { error: 'Day title too long (max 255).' };
+    if (date && !DATE_RE.test(date)) return { error: 'Day date must be YYYY-MM-DD.' };
+    return { title, date };
+  }
+  function parseActivity(body = {}) {
+    const time = body.time ? String(body.time) : null;
+    const place = (body.place ?? '').toString().trim();
+    const notes = (body.notes ?? '').toString();
+    if (time && !TIME_RE.test(time)) return { error: 'Activity time must be HH:MM.' };
+    if (!place && !notes.trim()) return { error: 'Activity needs a place or notes.' };
+    if (place.length > 255) return { error: 'Place too long (max 255).' };
+    if (notes.length > 2000) return { error: 'Notes too long (max 2000).' };
+    return { time, place, notes };
+  }
+  function sameIdSet(given, existing) {
+    if (!Array.isArray(given) || given.length !== existing.length) return false;
+    const want = new Set(existing.map(Number));
+    const got = new Set(given.map(Number));
+    return got.size === want.size && [...got].every(id => want.has(id));
+  }
+
+  // 寫入路由都先過這關：登入者要能編輯這個行程
+  async function requireEditor(req, res, next) {
+    try {
+      if (!(await canEditItinerary(req.params.id, req.user?.email))) {
+        return res.status(403).send({ message: 'You are not allowed to edit this itinerary.' });
+      }
+      return next();
+    } catch (err) {
+      log('ERROR', '[DAYS] permission check error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error checking permissions.' });
+    }
+  }
+
+  async function findDay(itineraryId, dayId) {
+    const [rows] = await pool.execute('SELECT id FROM itinerary_days WHERE id = ? AND itinerary_id = ?', [dayId, itineraryId]);
+    return rows.length > 0;
+  }
+
+  async function reorder(table, ids) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      for (let i = 0; i < ids.length; i++) {
+        await conn.execute(`UPDATE ${table} SET position = ? WHERE id = ?`, [i + 1, ids[i]]);
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback().catch(() => {});
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // ── Days ───────────────────────────────────────────────────────
+  app.get('/api/itineraries/:id/days', optionalFirebaseToken, requireReadable, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const [days] = await pool.execute(
+        `SELECT id, position, DATE_FORMAT(day_date, '%Y-%m-%d') AS date, title
+         FROM itinerary_days WHERE itinerary_id = ? ORDER BY position, id`,
+        [id],
+      );
+      const [acts] = await pool.execute(
+        `SELECT a.id, a.day_id, a.position, TIME_FORMAT(a.start_time, '%H:%i') AS time, a.place, a.notes
+         FROM itinerary_activities a JOIN itinerary_days d ON a.day_id = d.id
+         WHERE d.itinerary_id = ? ORDER BY a.position, a.id`,
+        [id],
+      );
+      const byDay = new Map(days.map(d => [d.id, { ...d, activities: [] }]));
+      for (const a of acts) byDay.get(a.day_id)?.activities.push(a);
+      return res.send({ days: [...byDay.values()] });
+    } catch (err) {
+      log('ERROR', '[DAYS] list error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load day plan.' });
+    }
+  });
+
+  app.post('/api/itineraries/:id/days', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id } = req.params;
+    const d = parseDay(req.body);
+    if (d.error) return res.status(400).send({ message: d.error });
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO itinerary_days (itinerary_id, position, day_date, title)
+         SELECT ?, COALESCE(MAX(position), 0) + 1, ?, ? FROM itinerary_days WHERE itinerary_id = ?`,
+        [id, d.date, d.title, id],
+      );
+      log('INFO', '[DAYS] created', { id, dayId: result.insertId, by: req.user?.email });
+      return res.status(201).send({ id: result.insertId, date: d.date, title: d.title, activities: [] });
+    } catch (err) {
+      log('ERROR', '[DAYS] create error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to add day.' });
+    }
+  });
+
+  // 注意：/days/order 要比 /days/:dayId 先註冊
+  app.put('/api/itineraries/:id/days/order', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const [rows] = await pool.execute('SELECT id FROM itinerary_days WHERE itinerary_id = ?', [id]);
+      const dayIds = req.body?.dayIds;
+      if (!sameIdSet(dayIds, rows.map(r => r.id))) {
+        return res.status(400).send({ message: 'dayIds must list every day of this itinerary exactly once.' });
+      }
+      await reorder('itinerary_days', dayIds.map(Number));
+      return res.send({ message: 'Days reordered.' });
+    } catch (err) {
+      log('ERROR', '[DAYS] reorder error', { id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to reorder days.' });
+    }
+  });
+
+  app.put('/api/itineraries/:id/days/:dayId', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, dayId } = req.params;
+    const d = parseDay(req.body);
+    if (d.error) return res.status(400).send({ message: d.error });
+    try {
+      const [result] = await pool.execute(
+        'UPDATE itinerary_days SET day_date = ?, title = ? WHERE id = ? AND itinerary_id = ?',
+        [d.date, d.title, dayId, id],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Day not found.' });
+      return res.send({ message: 'Day updated.' });
+    } catch (err) {
+      log('ERROR', '[DAYS] update error', { id, dayId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update day.' });
+    }
+  });
+
+  app.delete('/api/itineraries/:id/days/:dayId', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, dayId } = req.params;
+    try {
+      const [result] = await pool.execute('DELETE FROM itinerary_days WHERE id = ? AND itinerary_id = ?', [dayId, id]);
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Day not found.' });
+      return res.send({ message: 'Day deleted.' });
+    } catch (err) {
+      log('ERROR', '[DAYS] delete error', { id, dayId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to delete day.' });
+    }
+  });
+
+  // ── Activities ─────────────────────────────────────────────────
+  app.post('/api/itineraries/:id/days/:dayId/activities', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, dayId } = req.params;
+    const a = parseActivity(req.body);
+    if (a.error) return res.status(400).send({ message: a.error });
+    try {
+      if (!(await findDay(id, dayId))) return res.status(404).send({ message: 'Day not found.' });
+      const [result] = await pool.execute(
+        `INSERT INTO itinerary_activities (day_id, position, start_time, place, notes)
+         SELECT ?, COALESCE(MAX(position), 0) + 1, ?, ?, ? FROM itinerary_activities WHERE day_id = ?`,
+        [dayId, a.time, a.place, a.notes, dayId],
+      );
+      return res.status(201).send({ id: result.insertId, day_id: Number(dayId), ...a });
+    } catch (err) {
+      log('ERROR', '[ACTIVITIES] create error', { id, dayId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to add activity.' });
+    }
+  });
+
+  app.put('/api/itineraries/:id/days/:dayId/activities/order', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, dayId } = req.params;
+    try {
+      if (!(await findDay(id, dayId))) return res.status(404).send({ message: 'Day not found.' });
+      const [rows] = await pool.execute('SELECT id FROM itinerary_activities WHERE day_id = ?', [dayId]);
+      const activityIds = req.body?.activityIds;
+      if (!sameIdSet(activityIds, rows.map(r => r.id))) {
+        return res.status(400).send({ message: 'activityIds must list every activity of this day exactly once.' });
+      }
+      await reorder('itinerary_activities', activityIds.map(Number));
+      return res.send({ message: 'Activities reordered.' });
+    } catch (err) {
+      log('ERROR', '[ACTIVITIES] reorder error', { id, dayId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to reorder activities.' });
+    }
+  });
+
+  app.put('/api/itineraries/:id/days/:dayId/activities/:activityId', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, dayId, activityId } = req.params;
+    const a = parseActivity(req.body);
+    if (a.error) return res.status(400).send({ message: a.error });
+    const targetDayId = req.body?.day_id ? Number(req.body.day_id) : Number(dayId);
+    try {
+      if (!(await findDay(id, dayId)) || !(await findDay(id, targetDayId))) {
+        return res.status(404).send({ message: 'Day not found.' });
+      }
+      // 移到別天時排到那天最後
+      const moving = targetDayId !== Number(dayId);
+      const [result] = await pool.execute(
+        moving
+          ? `UPDATE itinerary_activities SET start_time = ?, place = ?, notes = ?, day_id = ?,
+               position = (SELECT p FROM (SELECT COALESCE(MAX(position), 0) + 1 AS p FROM itinerary_activities WHERE day_id = ?) x)
+             WHERE id = ? AND day_id = ?`
+          : 'UPDATE itinerary_activities SET start_time = ?, place = ?, notes = ? WHERE id = ? AND day_id = ?',
+        moving
+          ? [a.time, a.place, a.notes, targetDayId, targetDayId, activityId, dayId]
+          : [a.time, a.place, a.notes, activityId, dayId],
+      );
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Activity not found.' });
+      return res.send({ message: 'Activity updated.' });
+    } catch (err) {
+      log('ERROR', '[ACTIVITIES] update error', { id, dayId, activityId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update activity.' });
+    }
+  });
+
+  app.delete('/api/itineraries/:id/days/:dayId/activities/:activityId', verifyFirebaseToken, requireEditor, async (req, res) => {
+    const { id, dayId, activityId } = req.params;
+    try {
+      if (!(await findDay(id, dayId))) return res.status(404).send({ message: 'Day not found.' });
+      const [result] = await pool.execute('DELETE FROM itinerary_activities WHERE id = ? AND day_id = ?', [activityId, dayId]);
+      if (result.affectedRows === 0) return res.status(404).send({ message: 'Activity not found.' });
+      return res.send({ message: 'Activity deleted.' });
+    } catch (err) {
+      log('ERROR', '[ACTIVITIES] delete error', { id, dayId, activityId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to delete activity.' });
+    }
+  });
+}
+
+module.exports = { registerItineraryDayRoutes };
@@ -0,0 +1,267 @@
+// routes/moderation.js — 檢舉與管理員的審核工具
+// 使用者（讀得到行程的人）：
+//   POST /api/itineraries/:id/report                      { reason } → 檢舉行程
+//   POST /api/itineraries/:id/comments/:commentId/report  { reason } → 檢舉留言
+//     同一個人對同一個目標只會有一筆未處理的檢舉（再送一次就回原本那筆）
+// 管理員（moderation.requireAdmin）：
+//   GET    /api/admin/me                                   → { admin }（前端決定要不要顯示審核工具；任何登入者都能問）
+//   GET    /api/admin/reports?status=open|resolved&cursor= → 檢舉清單（新到舊），附上目標的內容快照
+//   POST   /api/admin/reports/:reportId/resolve            { action: dismiss | hide | delete } → 處理，同一目標的檢舉一起結案（刪行程時檢舉跟著行程刪掉）
+//   POST   /api/admin/itineraries/:id/hidden               { hidden } → 隱藏 / 取消隱藏行程
+//   DELETE /api/admin/itineraries/:id                      → 刪任何人的行程
+//   POST   /api/admin/itineraries/:id/comments/:commentId/hidden { hidden }
+//   DELETE /api/admin/itineraries/:id/comments/:commentId
+//   POST   /api/admin/travellers/:id/suspension            { suspended, reason } → 停權 / 解除（:id 同 routes/travellers.js）
+// 隱藏的行程只剩建立者 / 共同編輯者看得到（access.js）；隱藏的留言只剩作者和管理員看得到（server.js visibleComments）。
+
+const { findTraveller } = require('./travellers');
+const { commentForViewers } = require('../moderation');
+
+const REASON_MAX = 500;
+const LIST_LIMIT = 30;
+const ACTIONS = ['dismiss', 'hide', 'delete'];
+
+function registerModerationRoutes(app, {
+  pool, log, verifyFirebaseToken, requireReadable, rateLimit, moderation, social, tripEvents, removeItinerary,
+}) {
+  const { requireAdmin } = moderation;
+
+  function parseReason(body) {
+    const reason = String(body?.reason || '').trim();
+    if (!reason) return { error: 'Please tell us what is wrong.' };
+    if (reason.length > REASON_MAX) return { error: `Reason must be at most ${REASON_MAX} characters.` };
+    return { reason };
+  }
+
+  async function fileReport({ type, itineraryId, commentId = null, reporter, reason }) {
+    const [open] = await pool.execute(
+      `SELECT id FROM moderation_reports
+       WHERE target_type = ? AND itinerary_id = ? AND comment_id <=> ? AND reporter_email = ? AND status = 'open'`,
+      [type, itineraryId, commentId, reporter],
+    );
+    if (open.length) return { id: Number(open[0].id), duplicate: true };
+    const [result] = await pool.execute(
+      `INSERT INTO moderation_reports (target_type, itinerary_id, comment_id, reporter_email, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [type, itineraryId, commentId, reporter, reason, Date.now()],
+    );
+    log('INFO', '[MOD] report filed', { id: result.insertId, type, itineraryId, commentId });
+    return { id: Number(result.insertId), duplicate: false };
+  }
+
+  app.post('/api/itineraries/:id/report', verifyFirebaseToken, rateLimit('social'), requireReadable, async (req, res) => {
+    const { reason, error } = parseReason(req.body);
+    if (error) return res.status(400).send({ message: error });
+    try {
+      const r = await fileReport({ type: 'itinerary', itineraryId: req.params.id, reporter: req.user.email, reason });
+      return res.status(r.duplicate ? 200 : 201).send({ id: r.id, message: 'Thanks, a moderator will take a look.' });
+    } catch (err) {
+      log('ERROR', '[MOD] report trip error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to send report.' });
+    }
+  });
+
+  app.post('/api/itineraries/:id/comments/:commentId/report', verifyFirebaseToken, rateLimit('social'), requireReadable, async (req, res) => {
+    const { id, commentId } = req.params;
+    const { reason, error } = parseReason(req.body);
+    if (error) return res.status(400).send({ message: error });
+    try {
+      if (!(await social.getComment(id, commentId))) return res.status(404).send({ message: 'Comment not found' });
+      const r = await fileReport({ type: 'comment', itineraryId: id, commentId: String(commentId), reporter: req.user.email, reason });
+      return res.status(r.duplicate ? 200 : 201).send({ id: r.id, message: 'Thanks, a moderator will take a look.' });
+    } catch (err) {
+      log('ERROR', '[MOD] report comment error', { id, commentId, store: social.name, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to send report.' });
+    }
+  });
+
+  app.get('/api/admin/me', verifyFirebaseToken, async (req, res) => {
+    try {
+      return res.send({ admin: await moderation.isAdmin(req.user) });
+    } catch (err) {
+      log('ERROR', '[MOD] admin me error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error checking permissions.' });
+    }
+  });
+
+  // ---------------- 直接處理（不經過檢舉也能用） ----------------
+  async function hideItinerary(id, hidden, by) {
+    const [result] = await pool.execute(
+      'UPDATE itineraries SET hidden_at = ?, hidden_by = ? WHERE id = ?',
+      [hidden ? Date.now() : null, hidden ? by : null, id],
+    );
+    return result.affectedRows > 0;
+  }
+
+  async function hideComment(itineraryId, commentId, hidden, by) {
+    const comment = await social.setCommentHidden(itineraryId, commentId, { hidden, by });
+    if (!comment) return false;
+    // 一般人的前端收到 hidden_at 有值的留言就拿掉，取消隱藏時再補回來；管理員則是重抓後標成 hidden
+    tripEvents.publish(itineraryId, 'comment.updated', { comment: commentForViewers(comment) });
+    return true;
+  }
+
+  async function deleteComment(itineraryId, commentId) {
+    if (!(await social.getComment(itineraryId, commentId))) return false;
+    await social.deleteComment(itineraryId, commentId);
+    tripEvents.publish(itineraryId, 'comment.deleted', { id: String(commentId) });
+    return true;
+  }
+
+  async function closeReports({ type, itineraryId, commentId }, action, by) {
+    await pool.execute(
+      `UPDATE moderation_reports SET status = 'resolved', resolution = ?, resolved_by = ?, resolved_at = ?
+       WHERE target_type = ? AND itinerary_id = ? AND comment_id <=> ? AND status = 'open'`,
+      [action, by, Date.now(), type, itineraryId, commentId],
+    );
+  }
+
+  app.post('/api/admin/itineraries/:id/hidden', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    const hidden = req.body?.hidden !== false;
+    try {
+      if (!(await hideItinerary(req.params.id, hidden, req.user.email))) return res.status(404).send({ message: 'Itinerary not found.' });
+      log('INFO', '[MOD] itinerary hidden', { id: req.params.id, hidden, by: req.user.email });
+      return res.send({ id: Number(req.params.id), hidden });
+    } catch (err) {
+      log('ERROR', '[MOD] hide itinerary error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update itinerary.' });
+    }
+  });
+
+  app.delete('/api/admin/itineraries/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+      if (!(await removeItinerary(req.params.id))) return res.status(404).send({ message: 'Itinerary not found.' });
+      log('INFO', '[MOD] itinerary deleted', { id: req.params.id, by: req.user.email });
+      return res.send({ message: `Itinerary ID ${req.params.id} deleted.` });
+    } catch (err) {
+      log('ERROR', '[MOD] delete itinerary error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to delete itinerary.' });
+    }
+  });
+
+  app.post('/api/admin/itineraries/:id/comments/:commentId/hidden', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    const { id, commentId } = req.params;
+    const hidden = req.body?.hidden !== false;
+    try {
+      if (!(await hideComment(id, commentId, hidden, req.user.email))) return res.status(404).send({ message: 'Comment not found' });
+      log('INFO', '[MOD] comment hidden', { id, commentId, hidden, by: req.user.email });
+      return res.send({ id: String(commentId), hidden });
+    } catch (err) {
+      log('ERROR', '[MOD] hide comment error', { id, commentId, store: social.name, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update comment.' });
+    }
+  });
+
+  app.delete('/api/admin/itineraries/:id/comments/:commentId', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    const { id, commentId } = req.params;
+    try {
+      if (!(await deleteComment(id, commentId))) return res.status(404).send({ message: 'Comment not found' });
+      log('INFO', '[MOD] comment deleted', { id, commentId, by: req.user.email });
+      return res.send({ message: 'Comment deleted' });
+    } catch (err) {
+      log('ERROR', '[MOD] delete comment error', { id, commentId, store: social.name, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to delete comment.' });
+    }
+  });
+
+  app.post('/api/admin/travellers/:id/suspension', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    const suspended = req.body?.suspended !== false;
+    const reason = String(req.body?.reason || '').trim().slice(0, REASON_MAX) || null;
+    try {
+      const t = await findTraveller(pool, req.params.id, req.user.email);
+      if (!t) return res.status(404).send({ message: 'Traveller not found.' });
+      if (t.email === req.user.email) return res.status(400).send({ message: 'You cannot suspend yourself.' });
+      await pool.execute(
+        'UPDATE travellers SET suspended_at = ?, suspended_by = ?, suspended_reason = ? WHERE id = ?',
+        [suspended ? Date.now() : null, suspended ? req.user.email : null, suspended ? reason : null, t.id],
+      );
+      moderation.invalidate(t.email);
+      log('INFO', '[MOD] suspension', { traveller: t.id, suspended, by: req.user.email });
+      return res.send({ id: t.id, email: t.email, suspended, reason: suspended ? reason : null });
+    } catch (err) {
+      log('ERROR', '[MOD] suspension error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update suspension.' });
+    }
+  });
+
+  // ---------------- 檢舉清單 ----------------
+  const toReport = (r) => ({
+    id: Number(r.id),
+    target_type: r.target_type,
+    itinerary: { id: r.itinerary_id, title: r.title, owner_email: r.owner_email, hidden: r.hidden_at != null },
+    comment_id: r.comment_id,
+    reporter_email: r.reporter_email,
+    reason: r.reason,
+    status: r.status,
+    resolution: r.resolution,
+    resolved_by: r.resolved_by,
+    created_at: Number(r.created_at),
+    resolved_at: r.resolved_at == null ? null : Number(r.resolved_at),
+    // 同一個目標目前還沒處理的檢舉數（一樣的東西被很多人檢舉就排前面看）
+    open_count: Number(r.open_count || 0),
+  });
+
+  app.get('/api/admin/reports', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+    const beforeId = req.query.cursor ? Number(req.query.cursor) : null;
+    if (req.query.cursor && !(Number.isInteger(beforeId) && beforeId > 0)) return res.status(400).send({ message: 'Invalid cursor.' });
+    try {
+      const [rows] = await pool.execute(
+        `SELECT r.*, i.title, i.hidden_at, t.email AS owner_email,
+           (SELECT COUNT(*) FROM moderation_reports o
+             WHERE o.target_type = r.target_type AND o.itinerary_id = r.itinerary_id
+               AND o.comment_id <=> r.comment_id AND o.status = 'open') AS open_count
+         FROM moderation_reports r
+         JOIN itineraries i ON i.id = r.itinerary_id
+         JOIN travellers t ON t.id = i.traveller_id
+         WHERE r.status = ? ${beforeId ? 'AND r.id < ?' : ''}
+         ORDER BY r.id DESC
+         LIMIT ${LIST_LIMIT + 1}`,
+        beforeId ? [status, beforeId] : [status],
+      );
+      const hasMore = rows.length > LIST_LIMIT;
+      const page = (hasMore ? rows.slice(0, LIST_LIMIT) : rows).map(toReport);
+      // 留言的內容在 social repo（可能是 Firestore），一筆一筆補上；已經被刪掉的就是 null
+      for (const r of page) {
+        if (r.target_type !== 'comment') continue;
+        const c = await social.getComment(r.itinerary.id, r.comment_id).catch(() => null);
+        r.comment = c ? { id: c.id, email: c.email, text: c.text, created_at: c.created_at, hidden: !!c.hidden_at } : null;
+      }
+      return res.send({ items: page, nextCursor: hasMore ? String(page[page.length - 1].id) : null });
+    } catch (err) {
+      log('ERROR', '[MOD] reports list error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load reports.' });
+    }
+  });
+
+  app.post('/api/admin/reports/:reportId/resolve', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    const action = String(req.body?.action || '');
+    if (!ACTIONS.includes(action)) return res.status(400).send({ message: `action must be one of: ${ACTIONS.join(', ')}.` });
+    try {
+      const [rows] = await pool.execute('SELECT * FROM moderation_reports WHERE id = ?', [req.params.reportId]);
+      if (rows.length === 0) return res.status(404).send({ message: 'Report not found.' });
+      const r = rows[0];
+      const target = { type: r.target_type, itineraryId: r.itinerary_id, commentId: r.comment_id };
+      const by = req.user.email;
+
+      if (action === 'hide') {
+        if (target.type === 'comment') await hideComment(target.itineraryId, target.commentId, true, by);
+        else await hideItinerary(target.itineraryId, true, by);
+      }
+      // 刪行程時這個行程的檢舉會跟著 FK cascade 一起刪掉，不用結案；處理紀錄只留在下面的 log
+      if (action === 'delete' && target.type === 'itinerary') {
+        await removeItinerary(target.itineraryId);
+      } else {
+        await closeReports(target, action, by);
+        if (action === 'delete') await deleteComment(target.itineraryId, target.commentId);
+      }
+      log('INFO', '[MOD] report resolved', { id: r.id, action, target, by });
+      return res.send({ id: Number(r.id), action });
+    } catch (err) {
+      log('ERROR', '[MOD] resolve error', { id: req.params.reportId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to resolve report.' });
+    }
+  });
+}
+
+module.exports = { registerModerationRoutes };
@@ -0,0 +1,65 @@
+// routes/notifications.js — 通知收件匣（只看得到自己的）
+//   GET  /api/notifications?limit=&cursor=&unread=1  → { items, nextCursor, unread }
+//   GET  /api/notifications/unread-count             → { unread }（header 的鈴鐺輪詢這支）
+//   POST /api/notifications/read  { ids: [...] }     → 標成已讀；不帶 ids 就是全部 → { updated, unread }
+// 通知是在按讚 / 留言（server.js）與邀請（routes/collaborators.js）時寫進去的，見 notifications/index.js。
+// cursor 就是上一頁最後一筆的 id（通知只會往後長，用 id 做 keyset 就夠）。
+
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 50;
+const MAX_IDS = 100;
+
+function registerNotificationRoutes(app, { log, verifyFirebaseToken, notifier }) {
+  app.get('/api/notifications', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    const limitNum = parseInt(req.query.limit, 10);
+    const limit = Number.isInteger(limitNum) && limitNum > 0 ? Math.min(limitNum, LIST_MAX_LIMIT) : LIST_DEFAULT_LIMIT;
+    const beforeId = req.query.cursor ? Number(req.query.cursor) : null;
+    if (req.query.cursor && !(Number.isInteger(beforeId) && beforeId > 0)) {
+      return res.status(400).send({ message: 'Invalid cursor.' });
+    }
+    try {
+      const rows = await notifier.list(email, { limit: limit + 1, beforeId, unreadOnly: req.query.unread === '1' });
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      return res.send({
+        items,
+        nextCursor: hasMore ? String(items[items.length - 1].id) : null,
+        unread: await notifier.unreadCount(email),
+      });
+    } catch (err) {
+      log('ERROR', '[NOTIFY] list error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load notifications.' });
+    }
+  });
+
+  app.get('/api/notifications/unread-count', verifyFirebaseToken, async (req, res) => {
+    try {
+      return res.send({ unread: await notifier.unreadCount(req.user?.email) });
+    } catch (err) {
+      log('ERROR', '[NOTIFY] unread count error', { error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to count notifications.' });
+    }
+  });
+
+  app.post('/api/notifications/read', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    let ids = null;
+    if (req.body?.ids !== undefined) {
+      if (!Array.isArray(req.body.ids) || req.body.ids.length > MAX_IDS) {
+        return res.status(400).send({ message: `ids must be an array of at most ${MAX_IDS} notification ids.` });
+      }
+      ids = req.body.ids.map(Number);
+      if (ids.some(id => !Number.isInteger(id) || id <= 0)) return res.status(400).send({ message: 'Invalid notification id.' });
+    }
+    try {
+      const updated = await notifier.markRead(email, ids);
+      return res.send({ updated, unread: await notifier.unreadCount(email) });
+    } catch (err) {
+      log('ERROR', '[NOTIFY] mark read error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to mark notifications as read.' });
+    }
+  });
+}
+
+module.exports = { registerNotificationRoutes };
@@ -0,0 +1,180 @@
+// routes/privacy.js — 個人資料匯出（下載自己在系統裡的全部資料）與刪除帳號
+//   POST /api/travellers/me/exports                → 開一個匯出 job（已經有在跑的就回那一個）→ 202 { export }
+//   GET  /api/travellers/me/exports                → 最近的匯出紀錄（新到舊）
+//   GET  /api/travellers/me/exports/:id/download   → 下載 ZIP（只能下載自己的、還沒過期的）
+//   DELETE /api/travellers/me  { confirm: <自己的 email> } → 刪帳號（privacy/account-deletion.js）
+//          全部完成 200 { ok: true, steps }；有步驟失敗 500 { ok: false, steps }，再送一次會接著清
+// 打包在這個 instance 背景跑（privacy/export.js），結果放到 storage 的 exports/<travellerId>/<id>.zip。
+// instance 中途被回收的話 job 會停在 running；超過 EXPORT_STALE_MS 就當作 failed，使用者可以再要一次。
+
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EXPORT_STALE_MS = 15 * 60 * 1000;
+const LIST_LIMIT = 10;
+
+function registerPrivacyRoutes(app, { pool, log, verifyFirebaseToken, rateLimit, exporter, fileStorage, accountDeleter, onItineraryDeleted }) {
+  const toExport = (r) => {
+    const stale = (r.status === 'queued' || r.status === 'running') && Date.now() - Number(r.updated_at) > EXPORT_STALE_MS;
+    return {
+      id: r.id,
+      status: stale ? 'failed' : r.status,
+      size_bytes: r.size_bytes == null ? null : Number(r.size_bytes),
+      error: stale ? 'Export did not finish. Please request a new one.' : r.error,
+      created_at: Number(r.created_at),
+      expires_at: r.expires_at == null ? null : Number(r.expires_at),
+    };
+  };
+
+  async function travellerId(email) {
+    const [rows] = await pool.execute('SELECT id FROM travellers WHERE email = ?', [email]);
+    return rows.length ? rows[0].id : null;
+  }
+
+  async function setStatus(id, fields) {
+    const cols = Object.keys(fields);
+    await pool.execute(
+      `UPDATE data_exports SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...cols.map(c => fields[c]), Date.now(), id],
+    );
+  }
+
+  async function runExport(id, tid, email) {
+    const t0 = Date.now();
+    try {
+      await setStatus(id, { status: 'running' });
+      const zip = await exporter.buildZip(email);
+      if (!zip) throw new Error('Traveller not found.');
+      const key = `exports/${tid}/${id}.zip`;
+      await fileStorage.save(key, zip, { contentType: 'application/zip', cacheControl: 'private, no-store', isPublic: false });
+      await setStatus(id, { status: 'ready', storage_key: key, size_bytes: zip.length, expires_at: Date.now() + EXPORT_TTL_MS });
+      log('INFO', '[EXPORT] ready', { id, traveller: tid, bytes: zip.length, ms: Date.now() - t0 });
+    } catch (err) {
+      log('ERROR', '[EXPORT] failed', { id, traveller: tid, error: String(err?.message || err) });
+      await setStatus(id, { status: 'failed', error: String(err?.message || err).slice(0, 2000) })
+        .catch(e => log('ERROR', '[EXPORT] status update failed', { id, error: String(e?.message || e) }));
+    }
+  }
+
+  // 過期的 ZIP 刪掉（列表時順便做，不另外排程）
+  async function expireOld(tid) {
+    const [rows] = await pool.execute(
+      "SELECT id, storage_key FROM data_exports WHERE traveller_id = ? AND status = 'ready' AND expires_at < ?",
+      [tid, Date.now()],
+    );
+    for (const r of rows) {
+      await fileStorage.remove(r.storage_key).catch(err => log('WARN', '[EXPORT] remove expired failed', { id: r.id, error: String(err?.message || err) }));
+      await setStatus(r.id, { status: 'expired', storage_key: null });
+    }
+  }
+
+  app.post('/api/travellers/me/exports', verifyFirebaseToken, rateLimit('upload'), async (req, res) => {
+    const email = req.user?.email;
+    try {
+      if (!fileStorage.isReady()) return res.status(503).send({ message: 'Storage initializing, please retry in a moment.' });
+      const tid = await travellerId(email);
+      if (!tid) return res.status(404).send({ message: 'Traveller not found.' });
+
+      const [active] = await pool.execute(
+        `SELECT * FROM data_exports WHERE traveller_id = ? AND status IN ('queued', 'running') AND updated_at > ?
+         ORDER BY id DESC LIMIT 1`,
+        [tid, Date.now() - EXPORT_STALE_MS],
+      );
+      if (active.length) return res.status(202).send({ export: toExport(active[0]) });
+
+      const now = Date.now();
+      const [result] = await pool.execute(
+        "INSERT INTO data_exports (traveller_id, status, created_at, updated_at) VALUES (?, 'queued', ?, ?)",
+        [tid, now, now],
+      );
+      log('INFO', '[EXPORT] requested', { id: result.insertId, traveller: tid });
+      runExport(result.insertId, tid, email);
+      return res.status(202).send({
+        export: toExport({ id: result.insertId, status: 'queued', created_at: now, updated_at: now }),
+      });
+    } catch (err) {
+      log('ERROR', '[EXPORT] request error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to start data export.' });
+    }
+  });
+
+  app.get('/api/travellers/me/exports', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    try {
+      const tid = await travellerId(email);
+      if (!tid) return res.status(404).send({ message: 'Traveller not found.' });
+      await expireOld(tid);
+      const [rows] = await pool.execute(
+        `SELECT * FROM data_exports WHERE traveller_id = ? ORDER BY id DESC LIMIT ${LIST_LIMIT}`,
+        [tid],
+      );
+      return res.send({ items: rows.map(toExport) });
+    } catch (err) {
+      log('ERROR', '[EXPORT] list error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load data exports.' });
+    }
+  });
+
+  app.get('/api/travellers/me/exports/:exportId/download', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    const { exportId } = req.params;
+    try {
+      const tid = await travellerId(email);
+      const [rows] = await pool.execute('SELECT * FROM data_exports WHERE id = ? AND traveller_id = ?', [exportId, tid]);
+      if (rows.length === 0) return res.status(404).send({ message: 'Export not found.' });
+      const row = rows[0];
+      if (row.status !== 'ready' || Number(row.expires_at) < Date.now()) {
+        return res.status(409).send({ message: 'This export is not ready or has expired.' });
+      }
+      const obj = await fileStorage.open(row.storage_key);
+      if (!obj) return res.status(410).send({ message: 'Export file is gone. Please request a new one.' });
+      const day = new Date(Number(row.created_at)).toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="dragonflyx-data-${day}.zip"`,
+        'Cache-Control': 'private, no-store',
+      });
+      if (obj.size !== undefined) res.set('Content-Length', String(obj.size));
+      obj.stream.on('error', (err) => {
+        log('ERROR', '[EXPORT] stream error', { id: row.id, error: String(err?.message || err) });
+        res.destroy(err);
+      });
+      log('INFO', '[EXPORT] downloaded', { id: row.id, traveller: tid });
+      return obj.stream.pipe(res);
+    } catch (err) {
+      log('ERROR', '[EXPORT] download error', { email, exportId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to download data export.' });
+    }
+  });
+
+  // 同一個 instance 上同一個人只跑一次（連點 / 重送）
+  const deleting = new Set();
+
+  app.delete('/api/travellers/me', verifyFirebaseToken, async (req, res) => {
+    const { email, uid } = req.user || {};
+    const confirm = String(req.body?.confirm || '').trim().toLowerCase();
+    if (!email || confirm !== email.toLowerCase()) {
+      return res.status(400).send({ message: 'Please confirm by sending your email address.' });
+    }
+    if (deleting.has(email)) return res.status(409).send({ message: 'Account deletion is already in progress.' });
+    deleting.add(email);
+    try {
+      if (!fileStorage.isReady()) return res.status(503).send({ message: 'Storage initializing, please retry in a moment.' });
+      const report = await accountDeleter.deleteAccount({ email, uid });
+      report.itineraries.forEach(id => onItineraryDeleted(id));
+      if (!report.ok) {
+        return res.status(500).send({
+          message: 'Some of your data could not be deleted yet. Please try again.',
+          ok: false,
+          steps: report.steps,
+        });
+      }
+      return res.send({ message: 'Your account and all of its data have been deleted.', ok: true, steps: report.steps });
+    } catch (err) {
+      log('ERROR', '[ACCOUNT DELETE] error', { email, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to delete account.' });
+    } finally {
+      deleting.delete(email);
+    }
+  });
+}
+
+module.exports = { registerPrivacyRoutes };
@@ -0,0 +1,66 @@
+// routes/realtime.js — 行程詳細頁的即時事件（SSE）
+//   GET /api/itineraries/:id/events   → text/event-stream
+//     event: ready              { }                       連上了；id 是目前序號
+//     event: like               { email, liked, count }
+//     event: comment.created    { comment }
+//     event: comment.updated    { comment }（編輯過，edited_at 有值）
+//     event: comment.deleted    { id }
+//     event: itinerary.deleted  { }                       之後伺服器會關連線
+//     event: resync             { }                       漏掉的事件補不回來，整包重抓
+// 重連時帶 Last-Event-ID header（或 ?lastEventId=），會先補送中間漏掉的事件。
+// 讀取權限跟行程一樣（requireReadable）。
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function registerRealtimeRoutes(app, { log, optionalFirebaseToken, requireReadable, tripEvents, env = process.env }) {
+  const retryMs = parseInt(env.REALTIME_RETRY_MS || '3000', 10);
+
+  app.get('/api/itineraries/:id/events', optionalFirebaseToken, requireReadable, (req, res) => {
+    const id = String(req.params.id);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const write = (evtId, type, data) => {
+      if (!closed) res.write(`id: ${evtId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+    };
+
+    // 先訂閱再補送：中間都是同步的，不會漏
+    const unsubscribe = tripEvents.subscribe(id, (evt) => {
+      write(evt.id, evt.type, evt.data);
+      if (evt.type === 'itinerary.deleted') finish();
+    });
+
+    res.write(`retry: ${retryMs}\n\n`);
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    let replayed = 0;
+    if (lastEventId != null && lastEventId !== '') {
+      const missed = tripEvents.since(id, lastEventId);
+      if (missed === null) {
+        write(tripEvents.lastId(id), 'resync', {});
+      } else {
+        missed.forEach(evt => write(evt.id, evt.type, evt.data));
+        replayed = missed.length;
+      }
+    }
+    write(tripEvents.lastId(id), 'ready', {});
+
+    const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, HEARTBEAT_MS);
+    req.on('close', finish);
+    log('INFO', '[REALTIME] subscribe', { reqId: req._reqId, id, lastEventId: lastEventId ?? null, replayed });
+  });
+}
+
+module.exports = { registerRealtimeRoutes };
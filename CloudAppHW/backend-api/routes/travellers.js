@@ -0,0 +1,134 @@
+// routes/travellers.js — 旅人個人檔案
+//   GET /api/travellers/:id   → { id, email, name, bio, home_city, updated_at, stats, follow }（不用登入）
+//   PUT /api/travellers/:id   { name?, bio?, home_city? } → 只能改自己的；沒帶的欄位不動，bio / home_city 給空字串 = 清掉
+// :id 可以是數字 id、email，或 me（登入者自己）。前端的個人頁網址是 ?profile=<email>，所以 email 也要能查。
+// stats 只算這個人建立、而且看的人讀得到的行程（跟列表同一套 listFilter），不會從數字洩漏 private 行程：
+//   trips / total_days（每趟含頭尾天數加總）/ destinations（不分大小寫去重）/ likes_received
+// follow：{ followers, following, followed_by_me }（追蹤的 API 在 routes/follows.js）
+
+const NAME_MAX = 100;
+const BIO_MAX = 500;
+const CITY_MAX = 100;
+
+// :id → travellers 列或 null（routes/follows.js 也用）
+async function findTraveller(pool, key, viewer) {
+  const k = String(key || '').trim();
+  let where;
+  let value;
+  if (k === 'me') {
+    if (!viewer) return null;
+    [where, value] = ['email = ?', viewer];
+  } else if (/^\d+$/.test(k)) {
+    [where, value] = ['id = ?', Number(k)];
+  } else if (k.includes('@')) {
+    [where, value] = ['email = ?', k];
+  } else {
+    return null;
+  }
+  const [rows] = await pool.execute(`SELECT id, email, name, bio, home_city, updated_at FROM travellers WHERE ${where}`, [value]);
+  return rows[0] || null;
+}
+
+function registerTravellerRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, access, social }) {
+  const toProfile = (r) => ({
+    id: r.id,
+    email: r.email,
+    name: r.name,
+    bio: r.bio || '',
+    home_city: r.home_city || '',
+    updated_at: r.updated_at == null ? null : Number(r.updated_at),
+  });
+
+  async function loadStats(travellerId, viewer) {
+    const visible = access.listFilter(viewer);
+    const [trips] = await pool.execute(
+      `SELECT i.id, i.destination, DATEDIFF(i.end_date, i.start_date) + 1 AS days
+       FROM itineraries i JOIN travellers t ON i.traveller_id = t.id
+       WHERE t.id = ? AND ${visible.sql}`,
+      [travellerId, ...visible.params],
+    );
+    const destinations = new Set(trips.map(t => String(t.destination || '').trim().toLowerCase()).filter(Boolean));
+    return {
+      trips: trips.length,
+      total_days: trips.reduce((sum, t) => sum + Math.max(0, Number(t.days) || 0), 0),
+      destinations: destinations.size,
+      likes_received: await social.countLikesFor(trips.map(t => t.id)),
+    };
+  }
+
+  async function loadFollow(travellerId, viewer) {
+    const [[row]] = await pool.execute(
+      `SELECT
+         (SELECT COUNT(*) FROM traveller_follows WHERE followee_id = ?) AS followers,
+         (SELECT COUNT(*) FROM traveller_follows WHERE follower_id = ?) AS following,
+         EXISTS (SELECT 1 FROM traveller_follows f JOIN travellers me ON f.follower_id = me.id
+                 WHERE f.followee_id = ? AND me.email = ?) AS followed_by_me`,
+      [travellerId, travellerId, travellerId, viewer || ''],
+    );
+    return { followers: Number(row.followers), following: Number(row.following), followed_by_me: !!row.followed_by_me };
+  }
+
+  // 回傳 { errors, fields }；fields 只有有帶的欄位
+  function parseProfileInput(body = {}) {
+    const errors = [];
+    const fields = {};
+    if (body.name !== undefined) {
+      const name = String(body.name ?? '').trim();
+      if (!name) errors.push('Display name cannot be empty.');
+      else if (name.length > NAME_MAX) errors.push(`Display name must be at most ${NAME_MAX} characters.`);
+      else fields.name = name;
+    }
+    if (body.bio !== undefined) {
+      const bio = String(body.bio ?? '').trim();
+      if (bio.length > BIO_MAX) errors.push(`Bio must be at most ${BIO_MAX} characters.`);
+      else fields.bio = bio || null;
+    }
+    if (body.home_city !== undefined) {
+      const city = String(body.home_city ?? '').trim();
+      if (city.length > CITY_MAX) errors.push(`Home city must be at most ${CITY_MAX} characters.`);
+      else fields.home_city = city || null;
+    }
+    return { errors, fields };
+  }
+
+  app.get('/api/travellers/:id', optionalFirebaseToken, async (req, res) => {
+    const viewer = req.user?.email || null;
+    try {
+      const row = await findTraveller(pool, req.params.id, viewer);
+      if (!row) return res.status(404).send({ message: 'Traveller not found.' });
+      const [stats, follow] = await Promise.all([loadStats(row.id, viewer), loadFollow(row.id, viewer)]);
+      return res.send({ ...toProfile(row), stats, follow });
+    } catch (err) {
+      log('ERROR', '[PROFILE] get error', { id: req.params.id, store: social.name, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to load traveller profile.' });
+    }
+  });
+
+  app.put('/api/travellers/:id', verifyFirebaseToken, async (req, res) => {
+    const email = req.user?.email;
+    const { errors, fields } = parseProfileInput(req.body);
+    if (errors.length) return res.status(400).send({ message: errors[0], errors });
+    try {
+      const row = await findTraveller(pool, req.params.id, email);
+      if (!row) return res.status(404).send({ message: 'Traveller not found.' });
+      if (row.email !== email) return res.status(403).send({ message: 'You can only edit your own profile.' });
+
+      const cols = Object.keys(fields);
+      if (cols.length) {
+        const now = Date.now();
+        await pool.execute(
+          `UPDATE travellers SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+          [...cols.map(c => fields[c]), now, row.id],
+        );
+        Object.assign(row, fields, { updated_at: now });
+        log('INFO', '[PROFILE] updated', { id: row.id, fields: cols });
+      }
+      return res.send(toProfile(row));
+    } catch (err) {
+      log('ERROR', '[PROFILE] update error', { id: req.params.id, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Failed to update traveller profile.' });
+    }
+  });
+}
+
+module.exports = { registerTravellerRoutes, findTraveller };
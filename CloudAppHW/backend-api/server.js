@@ -14,9 +14,15 @@ const startTime = Date.now();
 const SAFE_ENV_KEYS = [
   'NODE_ENV', 'K_SERVICE', 'K_REVISION', 'K_CONFIGURATION', 'PORT',
   'INSTANCE_CONNECTION_NAME', 'GCLOUD_PROJECT', 'GCP_BUCKET_NAME',
+  'STORAGE_DRIVER', 'LOCAL_STORAGE_DIR', 'SOCIAL_STORE', 'MIGRATE_ON_START',
   'GEMINI_MODEL', 'GEMINI_MAX_TOKENS', 'GEMINI_MAX_TOKENS_RETRY',
+  'AI_PROVIDER', 'OPENAI_BASE_URL', 'OPENAI_MODEL',
+  'AI_JOB_WORKER', 'AI_JOB_MAX_ATTEMPTS', 'AI_JOB_POLL_MS', 'AI_JOB_LEASE_MS', 'AI_JOB_BACKOFF_MS', 'AI_JOB_MAX_BACKOFF_MS',
+  'AI_STREAM_CHECK_MS', 'AI_STREAM_MAX_MS', 'OFFLINE_STREAM_DELAY_MS',
+  'REALTIME_RETRY_MS', 'PUBLIC_API_BASE_URL',
+  'TRUST_PROXY', 'RATE_LIMIT_STORE', 'RATE_LIMIT_API', 'RATE_LIMIT_AI', 'RATE_LIMIT_SOCIAL', 'RATE_LIMIT_UPLOAD',
 ];
-const HIDE_ENV_KEYS = ['DB_PASSWORD', 'DB_PASS', 'GEMINI_API_KEY', 'GCP_SERVICE_ACCOUNT_JSON', 'DB_USER'];
+const HIDE_ENV_KEYS = ['DB_PASSWORD', 'DB_PASS', 'GEMINI_API_KEY', 'OPENAI_API_KEY', 'GCP_SERVICE_ACCOUNT_JSON', 'DB_USER'];
 
 function safeEnvDump() {
   const e = process.env;
@@ -28,13 +34,7 @@ function safeEnvDump() {
   out.INSTANCE_CONNECTION_NAME_SET = !!e.INSTANCE_CONNECTION_NAME;
   return out;
 }
-function log(severity, msg, meta = {}) {
-  // Cloud Run 會吃 JSON 格式（Cloud Logging）
-  const rec = { severity, message: msg, ts: new Date().toISOString(), ...meta };
-  if (severity === 'ERROR') console.error(JSON.stringify(rec));
-  else if (severity === 'WARN') console.warn(JSON.stringify(rec));
-  else console.log(JSON.stringify(rec));
-}
+const { log, redactUrl } = require('./logger');
 function genReqId() {
   return (crypto.randomUUID && crypto.randomUUID()) || crypto.randomBytes(8).toString('hex');
 }
@@ -57,7 +57,6 @@ log('INFO', 'Legacy https.Agent for IPv4 created');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const mysql = require('mysql2/promise');
 const { Storage } = require('@google-cloud/storage');
 const admin = require('firebase-admin');
 
@@ -118,7 +117,7 @@ app.use((req, res, next) => {
 
   const bodySize = req.headers['content-length'] ? Number(req.headers['content-length']) : (req.socket?.bytesRead || 0);
   log('INFO', '[REQ]', {
-    reqId, method: req.method, url: req.originalUrl || req.url,
+    reqId, method: req.method, url: redactUrl(req.originalUrl || req.url),
     ip: req.headers['x-forwarded-for'] || req.ip,
     ua: req.headers['user-agent'],
     bodySize, contentType: req.headers['content-type'],
@@ -129,7 +128,7 @@ app.use((req, res, next) => {
     res.end = origEnd;
     const ms = Date.now() - t0;
     log(res.statusCode >= 500 ? 'ERROR' : res.statusCode >= 400 ? 'WARN' : 'INFO', '[RES]', {
-      reqId, method: req.method, url: req.originalUrl || req.url,
+      reqId, method: req.method, url: redactUrl(req.originalUrl || req.url),
       status: res.statusCode, ms,
     });
     return origEnd.apply(this, args);
@@ -138,49 +137,18 @@ app.use((req, res, next) => {
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// 7) MySQL：同構，但加「自動 socket/host 切換」與查詢計時/錯誤日誌
-const isCloudRun = !!process.env.INSTANCE_CONNECTION_NAME;
-const basePoolCfg = {
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-  connectTimeout: 10000,
-  acquireTimeout: 10000,
-};
-const pool = mysql.createPool(
-  isCloudRun
-    ? { ...basePoolCfg, socketPath: `/cloudsql/${process.env.INSTANCE_CONNECTION_NAME}` }
-    : { ...basePoolCfg, host: process.env.DB_HOST, port: Number(process.env.DB_PORT || 3306) }
-);
-
-// 包一層 query/execute 計時
-const _execute = pool.execute.bind(pool);
-pool.execute = async (sql, params) => {
-  const t0 = Date.now();
-  try {
-    const res = await _execute(sql, params);
-    log('INFO', '[SQL execute ok]', { ms: Date.now() - t0, rows: Array.isArray(res?.[0]) ? res[0].length : undefined, sqlPreview: String(sql).slice(0, 120), paramCount: Array.isArray(params) ? params.length : 0 });
-    return res;
-  } catch (e) {
-    log('ERROR', '[SQL execute fail]', { ms: Date.now() - t0, code: e?.code, errno: e?.errno, sqlState: e?.sqlState, sqlMessage: e?.sqlMessage, sqlPreview: String(sql).slice(0, 200), params });
-    throw e;
-  }
-};
-const _query = pool.query.bind(pool);
-pool.query = async (sql, params) => {
-  const t0 = Date.now();
-  try {
-    const res = await _query(sql, params);
-    log('INFO', '[SQL query ok]', { ms: Date.now() - t0, rows: Array.isArray(res?.[0]) ? res[0].length : undefined, sqlPreview: String(sql).slice(0, 120), paramCount: Array.isArray(params) ? params.length : 0 });
-    return res;
-  } catch (e) {
-    log('ERROR', '[SQL query fail]', { ms: Date.now() - t0, code: e?.code, errno: e?.errno, sqlState: e?.sqlState, sqlMessage: e?.sqlMessage, sqlPreview: String(sql).slice(0, 200), params });
-    throw e;
-  }
-};
+// 7) MySQL：同構，但加「自動 socket/host 切換」與查詢計時/錯誤日誌（見 db.js）
+const { createPool } = require('./db');
+const pool = createPool({ log });
+
+// 7.1) 限流（token bucket，見 ratelimit/）：全站先用 IP 擋一層，個別群組在路由上掛 rateLimit('<group>')
+// 在 Cloud Run 後面時 req.ip 要從 X-Forwarded-For 取，TRUST_PROXY = 前面有幾層 proxy
+const trustProxyHops = parseInt(process.env.TRUST_PROXY || (process.env.K_SERVICE ? '1' : '0'), 10);
+if (trustProxyHops > 0) app.set('trust proxy', trustProxyHops);
+const { createRateLimiter } = require('./ratelimit');
+const rateLimiter = createRateLimiter({ pool, log });
+const rateLimit = rateLimiter.limit;
+app.use('/api', rateLimit('api'));
 
 function formatDate(date) {
   if (!date) return null;
@@ -216,9 +184,12 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
+// 8.1) likes / comments repository（SOCIAL_STORE = firestore | mysql）
+const { createSocialRepository } = require('./repositories');
+const social = createSocialRepository({ db, pool, log });
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 9) GCS with token diagnostics
-const BUCKET_NAME = process.env.GCP_BUCKET_NAME;
 let storage = null;
 const fmtTime = (ms) => new Date(ms).toISOString().replace('T', ' ').replace('Z', '');
 function startAuthDiagnostics(oauthClient) {
@@ -265,80 +236,48 @@ async function initGcs() {
     apiEndpoint: 'https://storage.googleapis.com',
   });
 }
-initGcs().catch(e => log('ERROR', 'initGcs() 失敗', { error: String(e?.message || e) }));
+
+// 9.1) 檔案儲存抽象層（gcs | local），只有 gcs driver 才需要 initGcs()
+const { createStorage, avatarKey, DEFAULT_AVATAR_KEY } = require('./storage');
+const fileStorage = createStorage({ log, getGcsClient: () => storage });
+if (fileStorage.name === 'gcs') {
+  initGcs().catch(e => log('ERROR', 'initGcs() 失敗', { error: String(e?.message || e) }));
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
-// 10) Gemini (AI Studio)
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-let generativeModel = null;
-let activeGeminiModel = null;
+// 10) AI suggestion provider（gemini | openai | offline，見 ai/index.js）
+const { createAiProvider } = require('./ai');
+const aiProvider = createAiProvider({ log });
+const { createStreamHub } = require('./ai/stream-hub');
+const aiStreams = createStreamHub(); // worker 產生中的文字 → SSE（/api/itineraries/:id/ai/stream）
 
 const MAX_TOKENS_PRIMARY = parseInt(process.env.GEMINI_MAX_TOKENS || '640', 10);
 const MAX_TOKENS_RETRY   = parseInt(process.env.GEMINI_MAX_TOKENS_RETRY || '1024', 10);
 const SOFT_TIMEOUT_MS    = parseInt(process.env.GEMINI_SOFT_TIMEOUT_MS || '4000', 10);
+// soft-timeout 之後前景那個請求還在跑（最多三次嘗試，每次最多 GEMINI_TIMEOUT_MS）；補位的 job 等它跑完才開始
+const FOREGROUND_MAX_MS  = 3 * parseInt(process.env.GEMINI_TIMEOUT_MS || '20000', 10) + 5000;
 
-function summarizeGeminiError(err) {
-  const msg = err?.message || String(err);
-  const name = err?.name || 'Error';
-  const status = err?.status || err?.response?.status;
-  const code = err?.code;
-  const causeMsg = err?.cause?.message;
-  return { name, status, code, message: msg, cause: causeMsg };
-}
-async function initGemini() {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) { log('WARN', 'GEMINI_API_KEY missing. AI features disabled.'); return; }
-  const preferred = process.env.GEMINI_MODEL;
-  const candidates = preferred ? [preferred] : ['gemini-2.5-flash', 'gemini-2.0-flash-exp', 'gemini-1.5-flash'];
-  const genAI = new GoogleGenerativeAI(apiKey);
-
-  for (const m of candidates) {
-    try {
-      const model = genAI.getGenerativeModel({ model: m });
-      await model.countTokens({ contents: [{ role: 'user', parts: [{ text: 'ping' }] }] });
-      generativeModel = model;
-      activeGeminiModel = m;
-      log('INFO', '[Gemini] Initialized', { model: m });
-      return;
-    } catch (err) {
-      log('WARN', `[Gemini] init fail for ${m}`, summarizeGeminiError(err));
-    }
-  }
-  log('ERROR', '[Gemini] All candidate models failed to init. AI disabled.');
-}
-let geminiInitInFlight = null;
-async function ensureGeminiReady() {
-  if (generativeModel) return true;
-  if (!geminiInitInFlight) {
-    geminiInitInFlight = (async () => {
-      try { await initGemini(); } finally { geminiInitInFlight = null; }
-    })();
-  }
-  await geminiInitInFlight;
-  return !!generativeModel;
-}
-async function generateContentWithRetry(model, payload, tries = 2) {
-  let lastErr;
-  for (let i = 1; i <= tries; i++) {
-    try { return await model.generateContent(payload); }
-    catch (e) {
-      lastErr = e;
-      const net = /fetch failed|ETIMEDOUT|ENETUNREACH|ECONNRESET|aborted/i.test(e?.message || '');
-      log(net ? 'WARN' : 'ERROR', `[Gemini] attempt ${i} fail`, summarizeGeminiError(e));
-      if (!net) throw e;
-      await delay(500 * i);
-    }
+// soft-timeout：時間到就先回，不會取消底下的請求
+async function runWithSoftTimeout(promise, ms) {
+  let soft = false;
+  let timer;
+  const softTimer = new Promise((resolve) => {
+    timer = setTimeout(() => { soft = true; resolve({ __softTimeout: true }); }, ms);
+  });
+  try {
+    const result = await Promise.race([promise, softTimer]);
+    return { result, soft };
+  } finally {
+    clearTimeout(timer);
   }
-  throw lastErr;
-}
-function getFinishReason(result) {
-  return result?.response?.candidates?.[0]?.finishReason || null;
 }
-async function getGeminiSuggestion(itineraryData) {
-  const ready = await ensureGeminiReady();
+
+// stream.onToken 有給就用 provider.generateStream；每次嘗試開始前呼叫 stream.onAttempt(no)
+async function getAiSuggestion(itineraryData, stream = null) {
+  const ready = await aiProvider.ensureReady();
   if (!ready) {
-    log('WARN', '[Gemini] Not ready after ensure');
-    return { text: null, meta: { ok: false, reason: 'MODEL_NOT_READY' } };
+    log('WARN', '[AI] Not ready after ensure', { provider: aiProvider.name });
+    return { text: null, meta: { ok: false, reason: 'MODEL_NOT_READY', provider: aiProvider.name } };
   }
   const { destination, start_date, end_date, short_description, detail_description } = itineraryData;
   const basePrompt = `You are a travel assistant. Write English suggestion under 100 words for a trip:
@@ -350,58 +289,212 @@ Write in friendly tone with short bullet sections:
 Must-see highlights, Must-try food, Seasonal & packing tips, Local customs, Events if any.
 No links, no duplication.`;
 
-  const meta = { ok: false, attempts: [], finalFinishReason: null, model: activeGeminiModel };
+  const meta = { ok: false, attempts: [], finalFinishReason: null, model: aiProvider.model(), provider: aiProvider.name };
+  let attemptNo = 0;
+  const gen = (prompt, maxOutputTokens) => {
+    attemptNo += 1;
+    const args = { prompt, itinerary: itineraryData, maxOutputTokens, temperature: 0.7, tries: 1 };
+    if (!stream?.onToken) return aiProvider.generate(args);
+    stream.onAttempt?.(attemptNo);
+    return aiProvider.generateStream({ ...args, onToken: stream.onToken });
+  };
   try {
-    let result = await generateContentWithRetry(generativeModel, {
-      contents: [{ role: 'user', parts: [{ text: basePrompt }] }],
-      generationConfig: { maxOutputTokens: MAX_TOKENS_PRIMARY, temperature: 0.7, responseMimeType: 'text/plain' },
-    }, 1);
-    let reason = getFinishReason(result);
-    let text1 = (result?.response?.text?.() ?? '').trim();
-    log('INFO', '[Gemini A1]', { finishReason: reason, hadText: !!text1 });
-    meta.attempts.push({ no: 1, finishReason: reason, hadText: !!text1, usage: result?.response?.usageMetadata || null });
+    let r = await gen(basePrompt, MAX_TOKENS_PRIMARY);
+    let reason = r.finishReason;
+    let text1 = r.text;
+    log('INFO', '[AI A1]', { provider: aiProvider.name, finishReason: reason, hadText: !!text1 });
+    meta.attempts.push({ no: 1, finishReason: reason, hadText: !!text1, usage: r.usage });
 
     if (!text1 || reason === 'MAX_TOKENS') {
-      log('WARN', '[Gemini] A1 empty/MAX_TOKENS. Retry with higher cap…');
-      result = await generateContentWithRetry(generativeModel, {
-        contents: [{ role: 'user', parts: [{ text: basePrompt }] }],
-        generationConfig: { maxOutputTokens: MAX_TOKENS_RETRY, temperature: 0.7, responseMimeType: 'text/plain' },
-      }, 1);
-      reason = getFinishReason(result);
-      const textR = (result?.response?.text?.() ?? '').trim();
-      log('INFO', '[Gemini A2]', { finishReason: reason, hadText: !!textR });
-      meta.attempts.push({ no: 2, finishReason: reason, hadText: !!textR, usage: result?.response?.usageMetadata || null });
-      text1 = textR;
+      log('WARN', '[AI] A1 empty/MAX_TOKENS. Retry with higher cap…');
+      r = await gen(basePrompt, MAX_TOKENS_RETRY);
+      reason = r.finishReason;
+      log('INFO', '[AI A2]', { provider: aiProvider.name, finishReason: reason, hadText: !!r.text });
+      meta.attempts.push({ no: 2, finishReason: reason, hadText: !!r.text, usage: r.usage });
+      text1 = r.text;
     }
 
     if (!text1) {
-      log('WARN', '[Gemini] Still empty. Try shorter prompt…');
+      log('WARN', '[AI] Still empty. Try shorter prompt…');
       const shorterPrompt = `Trip to ${destination} from ${start_date} to ${end_date}.
 Give one concise 100-word travel note with bullets for highlights, foods, seasonal tips, and packing.
 No emojis, no links.`;
-      const retry2 = await generateContentWithRetry(generativeModel, {
-        contents: [{ role: 'user', parts: [{ text: shorterPrompt }] }],
-        generationConfig: { maxOutputTokens: MAX_TOKENS_RETRY, temperature: 0.7, responseMimeType: 'text/plain' },
-      }, 1);
-      const text2 = (retry2?.response?.text?.() ?? '').trim();
-      log('INFO', '[Gemini A3]', { finishReason: getFinishReason(retry2), hadText: !!text2 });
-      meta.attempts.push({ no: 3, finishReason: getFinishReason(retry2), hadText: !!text2, usage: retry2?.response?.usageMetadata || null });
-      text1 = text2;
-      reason = meta.attempts.at(-1).finishReason;
+      r = await gen(shorterPrompt, MAX_TOKENS_RETRY);
+      log('INFO', '[AI A3]', { provider: aiProvider.name, finishReason: r.finishReason, hadText: !!r.text });
+      meta.attempts.push({ no: 3, finishReason: r.finishReason, hadText: !!r.text, usage: r.usage });
+      text1 = r.text;
+      reason = r.finishReason;
     }
 
     meta.finalFinishReason = reason;
+    meta.model = aiProvider.model();
     meta.ok = !!text1;
-    log(text1 ? 'INFO' : 'WARN', '[Gemini] FINAL', { ok: !!text1, finishReason: reason, len: text1?.length || 0 });
+    log(text1 ? 'INFO' : 'WARN', '[AI] FINAL', { provider: aiProvider.name, ok: !!text1, finishReason: reason, len: text1?.length || 0 });
     return { text: text1 || null, meta };
   } catch (err) {
-    const s = summarizeGeminiError(err);
-    log('ERROR', '[Gemini] generateContent error', s);
+    const s = aiProvider.summarizeError(err);
+    log('ERROR', '[AI] generate error', { provider: aiProvider.name, ...s });
     meta.error = s;
     return { text: null, meta };
   }
 }
-initGemini().catch(e => log('ERROR', 'initGemini() 失敗', { error: String(e?.message || e) }));
+aiProvider.init().catch(e => log('ERROR', 'aiProvider.init() 失敗', { provider: aiProvider.name, error: String(e?.message || e) }));
+
+// AI 結果寫回 Firestore（前景呼叫與背景 job 共用）
+//   aiSuggestions/{id}                  → 目前顯示的那一版（前端輪詢讀這個）
+//   aiSuggestions/{id}/versions/{n}     → 每一次成功產生的版本，n 從 1 開始遞增
+const AI_COL = 'aiSuggestions';
+async function saveAiSuggestion(itineraryId, ai, { reason = 'create' } = {}) {
+  const status = ai?.text ? 'ok' : (ai?.meta?.error ? 'error' : 'no_suggestion');
+  const docRef = db.collection(AI_COL).doc(String(itineraryId));
+  const record = {
+    itineraryId: String(itineraryId),
+    provider: ai?.meta?.provider || aiProvider.name,
+    model: ai?.meta?.model || aiProvider.model() || null,
+    status,
+    finishReason: ai?.meta?.finalFinishReason || null,
+    attempts: ai?.meta?.attempts || [],
+    suggestion: ai?.text || null,
+    reason,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (status !== 'ok') {
+    // 失敗不算一個版本；保留既有的 versionCount / currentVersion
+    await docRef.set(record, { merge: true });
+    log('INFO', '[AI WRITE]', { collection: AI_COL, docId: docRef.id, status, hasText: false });
+    return { status, docId: docRef.id, version: null };
+  }
+  let version = 0;
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    const prev = snap.exists ? snap.data() : null;
+    let count = Number(prev?.versionCount || 0);
+    // 版本功能之前寫的舊建議：先補成第 1 版，才不會被蓋掉
+    if (prev && !count && prev.status === 'ok' && prev.suggestion) {
+      count = 1;
+      tx.set(docRef.collection('versions').doc('1'), { ...prev, version: 1, reason: prev.reason || 'create' });
+    }
+    version = count + 1;
+    tx.set(docRef.collection('versions').doc(String(version)), { ...record, version });
+    tx.set(docRef, { ...record, currentVersion: version, versionCount: version });
+  });
+  log('INFO', '[AI WRITE]', { collection: AI_COL, docId: docRef.id, status, version, reason });
+  return { status, docId: docRef.id, version };
+}
+
+// Firestore Timestamp → epoch ms（JSON 回給前端用）
+function tsMillis(ts) {
+  return ts?.toMillis ? ts.toMillis() : (typeof ts === 'number' ? ts : null);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 10.1) AI 背景工作佇列（MySQL ai_jobs + worker loop，見 jobs/）
+// 前景呼叫沒拿到建議就 enqueue；instance 被回收也不會掉，重試有 backoff，用完次數變 dead。
+const { createJobQueue, createJobWorker } = require('./jobs');
+
+const AI_JOB_SUGGESTION = 'suggestion';
+const AI_JOB_MAX_ATTEMPTS = parseInt(process.env.AI_JOB_MAX_ATTEMPTS || '5', 10);
+const aiJobs = createJobQueue({ pool, log, defaultMaxAttempts: AI_JOB_MAX_ATTEMPTS });
+
+async function loadItineraryForAi(itineraryId) {
+  const [rows] = await pool.execute(
+    'SELECT title, destination, start_date, end_date, short_description, detail_description FROM itineraries WHERE id = ?',
+    [itineraryId],
+  );
+  if (rows.length === 0) return null;
+  return { ...rows[0], start_date: formatDate(rows[0].start_date), end_date: formatDate(rows[0].end_date) };
+}
+
+async function hasOkSuggestion(itineraryId) {
+  const snap = await db.collection(AI_COL).doc(String(itineraryId)).get();
+  return snap.exists && snap.data()?.status === 'ok';
+}
+
+const aiJobWorker = createJobWorker({
+  queue: aiJobs,
+  log,
+  handlers: {
+    [AI_JOB_SUGGESTION]: {
+      async run(job) {
+        const itinerary = await loadItineraryForAi(job.itinerary_id);
+        if (!itinerary) return { skipped: 'itinerary_deleted' };
+        // 前景 soft-timeout 之後那個請求會自己把晚到的結果寫進去（job 也延後到它跑完才開始），寫好了就不用再打一次
+        if (!job.payload?.force && await hasOkSuggestion(job.itinerary_id)) return { skipped: 'already_ok' };
+        // 邊產生邊推給正在看的人（SSE）；重試下一次嘗試時先叫前端清掉
+        const key = String(job.itinerary_id);
+        aiStreams.begin(key, { jobId: job.id, attempt: job.attempts, reason: job.payload?.reason || 'create' });
+        try {
+          const ai = await getAiSuggestion(itinerary, {
+            onToken: (piece) => aiStreams.token(key, piece),
+            onAttempt: (no) => { if (no > 1) aiStreams.reset(key); },
+          });
+          if (!ai?.text) throw new Error(ai?.meta?.error?.message || ai?.meta?.reason || 'Model returned no suggestion');
+          const { status, version } = await saveAiSuggestion(job.itinerary_id, ai, { reason: job.payload?.reason || 'create' });
+          aiStreams.end(key, { status, version, suggestion: ai.text, provider: ai.meta.provider, model: ai.meta.model });
+          return { status, version, provider: ai.meta.provider, model: ai.meta.model };
+        } catch (err) {
+          aiStreams.fail(key, err);
+          throw err;
+        }
+      },
+      // 放棄了也要寫一筆 error，前端輪詢才會停；已經有 ok 的建議就不要蓋掉
+      async onDead(job, err) {
+        if (await hasOkSuggestion(job.itinerary_id)) return;
+        await saveAiSuggestion(job.itinerary_id, { text: null, meta: { error: { message: String(err?.message || err) } } });
+      },
+    },
+  },
+});
+
+async function enqueueAiSuggestion(itineraryId, payload = {}, delayMs = 0) {
+  const job = await aiJobs.enqueue({ itineraryId, type: AI_JOB_SUGGESTION, payload, delayMs });
+  aiJobWorker.kick();
+  return job;
+}
+
+// 會影響 AI 建議內容的欄位；描述的小修改不算（不然每改個錯字就重跑一次）
+const AI_MATERIAL_FIELDS = ['destination', 'start_date', 'end_date'];
+function materialAiChanges(before, after) {
+  const norm = (field, v) => {
+    if (field === 'destination') return String(v || '').trim().toLowerCase();
+    // DB 是 Date 物件；前端送的字串可能是 YYYY/MM/DD 或 YYYY-MM-DD（字串不要丟給 new Date，會有時區位移）
+    const day = typeof v === 'string' ? v.trim().slice(0, 10) : (formatDate(v) || '');
+    return day.replace(/\//g, '-');
+  };
+  return AI_MATERIAL_FIELDS.filter(f => norm(f, before[f]) !== norm(f, after[f]));
+}
+
+// 標記 aiSuggestions/{id} 為 outdated（有紀錄才標）並排一個 refresh job；新版本寫入時 outdated 會被清掉
+async function refreshAiSuggestion(itineraryId, changedFields, requestedBy) {
+  const docRef = db.collection(AI_COL).doc(String(itineraryId));
+  const snap = await docRef.get();
+  if (snap.exists) {
+    await docRef.set({
+      outdated: true,
+      outdatedFields: changedFields,
+      outdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+  const job = await enqueueAiSuggestion(itineraryId, { force: true, reason: 'refresh', changedFields, requestedBy });
+  log('INFO', '[AI REFRESH] queued', { id: itineraryId, changedFields, jobId: job.id });
+  return { outdated: snap.exists, changedFields, job: publicJob(job) };
+}
+
+// 給前端看的 job 狀態（不含 worker 內部欄位）
+function publicJob(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    next_run_at: job.status === 'queued' ? job.run_at : null,
+    last_error: job.last_error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  };
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 11) Auth Middleware（會把驗證結果印出）
@@ -412,15 +505,66 @@ async function verifyFirebaseToken(req, res, next) {
     log('WARN', '[Auth] Missing token', { reqId: req._reqId });
     return res.status(401).send({ message: 'Missing Authorization Bearer token' });
   }
+  let decoded;
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
+    decoded = await admin.auth().verifyIdToken(token);
     req.user = decoded;
     log('INFO', '[Auth] ok', { reqId: req._reqId, email: decoded?.email, uid: decoded?.uid });
-    return next();
   } catch (err) {
     log('WARN', '[Auth] invalid', { reqId: req._reqId, error: String(err?.message || err) });
     return res.status(401).send({ message: 'Invalid or expired token' });
   }
+  // 被停權的人只能讀；匯出自己的資料（/api/travellers/me/exports…）、刪帳號（DELETE /api/travellers/me）還是可以
+  // 只比對完整路徑：PUT /api/travellers/me（改名字、簡介）或 /api/travellers/meier@x.com/follow 都不放行
+  const ownDataPath = (req.method === 'DELETE' && req.path === '/api/travellers/me')
+    || req.path === '/api/travellers/me/exports' || req.path.startsWith('/api/travellers/me/exports/');
+  if (req.method !== 'GET' && !ownDataPath) {
+    try {
+      const s = await moderation.suspension(decoded.email);
+      if (s) {
+        log('WARN', '[Auth] suspended', { reqId: req._reqId, email: decoded.email, path: req.path });
+        return res.status(403).send({ message: 'Your account is suspended.', suspended: true, reason: s.reason });
+      }
+    } catch (err) {
+      log('ERROR', '[Auth] suspension check error', { reqId: req._reqId, error: String(err?.message || err) });
+      return res.status(500).send({ message: 'Server error checking account status.' });
+    }
+  }
+  return next();
+}
+
+// 公開讀取的路由：有帶 token 就解析（private 行程要認得是誰），沒帶或無效就當訪客
+async function optionalFirebaseToken(req, res, next) {
+  const hdr = req.headers.authorization || '';
+  const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
+  if (!token) return next();
+  try {
+    req.user = await admin.auth().verifyIdToken(token);
+  } catch (err) {
+    log('WARN', '[Auth] optional token ignored', { reqId: req._reqId, error: String(err?.message || err) });
+  }
+  return next();
+}
+
+// 行程權限：建立者 + 已接受邀請的共同編輯者（viewer / editor / owner）
+const { createItineraryAccess } = require('./access');
+const access = createItineraryAccess({ pool });
+// 管理員 / 停權（verifyFirebaseToken 會用到）
+const { createModeration, commentForViewers } = require('./moderation');
+const moderation = createModeration({ pool, log });
+const canEditItinerary = (itineraryId, email) => access.canEdit(itineraryId, email);
+
+// private 行程對沒權限的人一律回 404，不透露行程存在
+async function requireReadable(req, res, next) {
+  try {
+    if (!(await access.canRead(req.params.id, req.user?.email))) {
+      return res.status(404).send({ message: 'Itinerary not found.' });
+    }
+    return next();
+  } catch (err) {
+    log('ERROR', '[Access] read check error', { reqId: req._reqId, error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Server error checking permissions.' });
+  }
 }
 
 // Multer
@@ -442,24 +586,24 @@ app.get('/health/db', async (req, res) => {
 });
 app.get('/api/diagnostics/ai', async (req, res) => {
   try {
-    if (!process.env.GEMINI_API_KEY) return res.status(200).send({ ok: false, reason: 'NO_API_KEY' });
-    const ready = await ensureGeminiReady();
-    if (!ready) return res.status(200).send({ ok: false, reason: 'MODEL_NOT_READY', tried: activeGeminiModel });
-    const result = await generateContentWithRetry(generativeModel, 'ping', 1);
-    const text = result?.response?.text?.() ?? '';
-    res.send({ ok: true, model: activeGeminiModel, sample: ('' + text).slice(0, 60) });
+    if (!aiProvider.isConfigured()) return res.status(200).send({ ok: false, provider: aiProvider.name, reason: 'NOT_CONFIGURED' });
+    const ready = await aiProvider.ensureReady();
+    if (!ready) return res.status(200).send({ ok: false, provider: aiProvider.name, reason: 'MODEL_NOT_READY', tried: aiProvider.model() });
+    const r = await aiProvider.generate({ prompt: 'ping', itinerary: { destination: 'ping' }, maxOutputTokens: 32 });
+    res.send({ ok: true, provider: aiProvider.name, model: aiProvider.model(), sample: ('' + r.text).slice(0, 60) });
   } catch (err) {
-    res.status(200).send({ ok: false, reason: 'GENERATION_ERROR', error: summarizeGeminiError(err) });
+    res.status(200).send({ ok: false, provider: aiProvider.name, reason: 'GENERATION_ERROR', error: aiProvider.summarizeError(err) });
   }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 13) Core APIs（保持你的原樣，未調整業務邏輯）
-app.post('/api/itineraries', verifyFirebaseToken, async (req, res) => {
-  const { title, destination, start_date, end_date, short_description, detail_description } = req.body;
-  if (!title || !destination || !start_date || !end_date || (short_description && short_description.length > 80)) {
-    return res.status(400).send({ message: 'Missing required fields or short description too long.' });
-  }
+// 欄位規則在 itinerary-input.js（編輯、匯入也用同一套）
+const { parseItineraryInput } = require('./itinerary-input');
+app.post('/api/itineraries', verifyFirebaseToken, rateLimit('ai'), async (req, res) => {
+  const { errors, value } = parseItineraryInput(req.body);
+  if (errors.length) return res.status(400).send({ message: errors[0], errors });
+  const { title, destination, start_date, end_date, short_description, detail_description, visibility } = value;
   try {
     const email = req.user?.email;
     const [traveller] = await pool.execute('SELECT id FROM travellers WHERE email = ?', [email]);
@@ -467,92 +611,285 @@ app.post('/api/itineraries', verifyFirebaseToken, async (req, res) => {
     const traveller_id = traveller[0].id;
 
     const [result] = await pool.execute(
-      'INSERT INTO itineraries (traveller_id, title, destination, start_date, end_date, short_description, detail_description) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [traveller_id, title, destination, start_date, end_date, short_description || '', detail_description || '']
+      'INSERT INTO itineraries (traveller_id, title, destination, start_date, end_date, short_description, detail_description, visibility) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [traveller_id, title, destination, start_date, end_date, short_description, detail_description, visibility]
     );
     const itineraryId = String(result.insertId);
-    log('INFO', '[ITINERARY CREATE] MySQL inserted', { id: itineraryId, email, destination, start_date, end_date, hasShort: !!short_description, hasDetail: !!detail_description });
+    log('INFO', '[ITINERARY CREATE] MySQL inserted', { id: itineraryId, email, destination, start_date, end_date, hasShort: !!short_description, hasDetail: !!detail_description, visibility });
 
-    const AI_COL = 'aiSuggestions';
-    let suggestion = null, ai_status = 'queued', ai_log_id = null;
+    let suggestion = null, ai_status = 'queued', ai_log_id = null, ai_job = null, softTimedOut = false;
 
     try {
-      const { result: aiResult, soft } = await runWithSoftTimeout(getGeminiSuggestion(req.body), SOFT_TIMEOUT_MS);
+      const foreground = getAiSuggestion(value);
+      const { result: aiResult, soft } = await runWithSoftTimeout(foreground, SOFT_TIMEOUT_MS);
       if (soft) {
+        softTimedOut = true;
         log('WARN', '[AI FOREGROUND] soft-timeout', { ms: SOFT_TIMEOUT_MS });
-      } else if (aiResult && typeof aiResult === 'object') {
-        suggestion = aiResult.text || null;
-        ai_status = suggestion ? 'ok' : (aiResult?.meta?.error ? 'error' : 'no_suggestion');
-        const docRef = admin.firestore().collection(AI_COL).doc(itineraryId);
-        await docRef.set({
-          itineraryId,
-          model: aiResult?.meta?.model || activeGeminiModel || null,
-          status: ai_status,
-          finishReason: aiResult?.meta?.finalFinishReason || null,
-          attempts: aiResult?.meta?.attempts || [],
-          suggestion: suggestion,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        ai_log_id = docRef.id;
-        log('INFO', '[AI WRITE][FG]', { collection: AI_COL, docId: ai_log_id, status: ai_status, hasText: !!suggestion });
+        // 請求不會被取消：晚到的結果照樣寫進去，下面排的 job 跑的時候看到 ok 就跳過
+        foreground
+          .then(async (late) => {
+            if (!late?.text || await hasOkSuggestion(itineraryId)) return;
+            const saved = await saveAiSuggestion(itineraryId, late);
+            aiStreams.end(itineraryId, {
+              status: saved.status, version: saved.version, suggestion: late.text, provider: late.meta?.provider, model: late.meta?.model,
+            });
+            log('INFO', '[AI FOREGROUND] late result saved', { id: itineraryId, status: saved.status });
+          })
+          .catch(err => log('ERROR', '[AI FOREGROUND] late result error', { id: itineraryId, error: String(err?.message || err) }));
+      } else if (aiResult?.text) {
+        // 只寫成功的結果；失敗的交給下面的 job，避免前端先讀到 error 就停止輪詢
+        suggestion = aiResult.text;
+        const saved = await saveAiSuggestion(itineraryId, aiResult);
+        ai_status = saved.status;
+        ai_log_id = saved.docId;
+      } else {
+        log('WARN', '[AI FOREGROUND] no suggestion', { reason: aiResult?.meta?.reason, error: aiResult?.meta?.error?.message });
       }
     } catch (fgErr) {
       ai_status = 'error';
       log('ERROR', '[AI FOREGROUND] error', { error: String(fgErr?.message || fgErr) });
     }
 
-    if (!suggestion || ai_status === 'no_suggestion' || ai_status === 'queued' || ai_status === 'error') {
-      (async () => {
-        try {
-          log('INFO', '[AI BG] start', { itineraryId });
-          const ai = await getGeminiSuggestion(req.body);
-          const status = ai?.text ? 'ok' : (ai?.meta?.error ? 'error' : 'no_suggestion');
-          const docRef = admin.firestore().collection(AI_COL).doc(itineraryId);
-          await docRef.set({
-            itineraryId,
-            model: ai?.meta?.model || activeGeminiModel || null,
-            status,
-            finishReason: ai?.meta?.finalFinishReason || null,
-            attempts: ai?.meta?.attempts || [],
-            suggestion: ai?.text || null,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
-          log('INFO', '[AI WRITE][BG]', { collection: AI_COL, docId: docRef.id, status, hasText: !!ai?.text });
-        } catch (bgErr) {
-          log('ERROR', '[AI BG] failed', { error: String(bgErr?.message || bgErr) });
-        }
-      })();
+    // 沒拿到建議就交給持久化的 job queue（worker 會重試到成功或 dead）
+    if (!suggestion) {
+      try {
+        ai_job = publicJob(await enqueueAiSuggestion(itineraryId, { reason: 'create' }, softTimedOut ? FOREGROUND_MAX_MS : 0));
+        ai_status = 'queued';
+      } catch (qErr) {
+        log('ERROR', '[AI QUEUE] enqueue failed', { id: itineraryId, error: String(qErr?.message || qErr) });
+      }
     }
 
-    return res.status(201).send({ id: Number(itineraryId), message: 'Itinerary created successfully.', suggestion, ai_status, ai_log_id });
+    return res.status(201).send({ id: Number(itineraryId), message: 'Itinerary created successfully.', suggestion, ai_status, ai_log_id, ai_job });
   } catch (error) {
     log('ERROR', '[ITINERARY CREATE] server error', { error: String(error?.message || error) });
     return res.status(500).send({ message: 'Server error during itinerary creation.' });
   }
 });
 
-app.get('/api/itineraries/by-email/:email', async (req, res) => {
-  const { email } = req.params;
+// 列表：cursor 分頁（keyset，不用 OFFSET）+ 排序 + 總數
+// cursor 是 base64url 的 { v: 排序欄位值, id }，前端當不透明字串用就好
+const LIST_SORTS = {
+  start_desc: { col: 'i.start_date', dir: 'DESC' }, // 預設，跟舊版一樣
+  start_asc:  { col: 'i.start_date', dir: 'ASC' },
+  newest:     { col: 'i.id', dir: 'DESC' },
+};
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+
+function toSqlDate(date) {
+  if (!date) return null;
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+function encodeCursor(sortKey, row) {
+  const v = sortKey === 'newest' ? row.id : toSqlDate(row.start_date);
+  return Buffer.from(JSON.stringify({ v, id: row.id })).toString('base64url');
+}
+function decodeCursor(cursor) {
   try {
-    const [rows] = await pool.execute(
-      `SELECT i.id, i.title, i.start_date, i.end_date, i.short_description, t.email AS traveller_email
-       FROM itineraries i JOIN travellers t ON i.traveller_id = t.id
-       ORDER BY i.start_date DESC`,
-      [email], // 故意保留原樣；若 SQL 參數不匹配，SQL wrapper 會印出錯誤與佔位數，方便你比對修正
-    );
-    const formattedRows = rows.map((row) => ({
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (c && c.v !== undefined && Number.isInteger(c.id)) return c;
+  } catch (_) { /* fallthrough */ }
+  return null;
+}
+function parseListQuery(query) {
+  const sort = LIST_SORTS[query.sort] ? query.sort : 'start_desc';
+  const limitNum = parseInt(query.limit, 10);
+  const limit = Number.isInteger(limitNum) && limitNum > 0 ? Math.min(limitNum, LIST_MAX_LIMIT) : LIST_DEFAULT_LIMIT;
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    const validValue = sort === 'newest' ? Number.isInteger(cursor?.v) : /^\d{4}-\d{2}-\d{2}$/.test(cursor?.v);
+    if (!cursor || !validValue) return { error: 'Invalid cursor.' };
+  }
+  return { sort, limit, cursor };
+}
+
+// followedBy：只列這個 email 追蹤的旅人建立的行程（/api/feed）
+async function listItineraries({ email = null, viewer = null, followedBy = null, sort, limit, cursor }) {
+  const { col, dir } = LIST_SORTS[sort];
+  const visible = access.listFilter(viewer);
+  const where = [visible.sql];
+  const params = [...visible.params];
+  if (email) { where.push('t.email = ?'); params.push(email); }
+  if (followedBy) {
+    where.push(`t.id IN (SELECT f.followee_id FROM traveller_follows f JOIN travellers me ON me.id = f.follower_id
+                         WHERE me.email = ?)`);
+    params.push(followedBy);
+  }
+  const countWhere = `WHERE ${where.join(' AND ')}`;
+  const countParams = [...params];
+
+  if (cursor) {
+    const op = dir === 'DESC' ? '<' : '>';
+    where.push(`(${col} ${op} ? OR (${col} = ? AND i.id ${op} ?))`);
+    params.push(cursor.v, cursor.v, cursor.id);
+  }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+
+  // limit 已經驗證成整數，直接嵌進 SQL（prepared statement 的 LIMIT ? 在 MySQL 8 會出事）
+  const [rows] = await pool.execute(
+    `SELECT i.id, i.title, i.destination, i.start_date, i.end_date, i.short_description, i.visibility, t.email AS traveller_email
+     FROM itineraries i JOIN travellers t ON i.traveller_id = t.id
+     ${whereSql}
+     ORDER BY ${col} ${dir}, i.id ${dir}
+     LIMIT ${limit + 1}`,
+    params,
+  );
+  const [[{ total }]] = await pool.execute(
+    `SELECT COUNT(*) AS total FROM itineraries i JOIN travellers t ON i.traveller_id = t.id ${countWhere}`,
+    countParams,
+  );
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items: page.map((row) => ({
       ...row,
       start_date: formatDate(row.start_date),
       end_date: formatDate(row.end_date),
-    }));
-    res.send(formattedRows);
+    })),
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+    total: Number(total),
+    sort,
+  };
+}
+
+// 某位旅人的行程
+app.get('/api/itineraries/by-email/:email', optionalFirebaseToken, async (req, res) => {
+  const { email } = req.params;
+  const q = parseListQuery(req.query);
+  if (q.error) return res.status(400).send({ message: q.error });
+  try {
+    res.send(await listItineraries({ email, viewer: req.user?.email, ...q }));
   } catch (error) {
     log('ERROR', '[BY-EMAIL] server error', { error: String(error?.message || error) });
     res.status(500).send({ message: 'Server error retrieving itineraries by email.' });
   }
 });
 
-app.get('/api/itineraries/detail/:id', async (req, res) => {
+// 所有人的行程（"View All Trips"）
+app.get('/api/itineraries', optionalFirebaseToken, async (req, res) => {
+  const q = parseListQuery(req.query);
+  if (q.error) return res.status(400).send({ message: q.error });
+  try {
+    res.send(await listItineraries({ viewer: req.user?.email, ...q }));
+  } catch (error) {
+    log('ERROR', '[LIST ALL] server error', { error: String(error?.message || error) });
+    res.status(500).send({ message: 'Server error retrieving itineraries.' });
+  }
+});
+
+// 追蹤的人最近的公開行程（新到舊）；viewer 故意不帶，共同編輯的 private 行程不混進 feed
+app.get('/api/feed', verifyFirebaseToken, async (req, res) => {
+  const q = parseListQuery({ ...req.query, sort: 'newest' });
+  if (q.error) return res.status(400).send({ message: q.error });
+  try {
+    res.send(await listItineraries({ followedBy: req.user.email, ...q }));
+  } catch (error) {
+    log('ERROR', '[FEED] server error', { error: String(error?.message || error) });
+    res.status(500).send({ message: 'Server error retrieving feed.' });
+  }
+});
+
+// 搜尋：FULLTEXT（title/destination/兩個描述）+ email 子字串 + 日期重疊，依相關度排序
+// 相關度分數不適合做 keyset，所以這支的 cursor 是 offset（一樣是不透明字串）
+const SEARCH_SORTS = {
+  relevance:  'score DESC, i.start_date DESC, i.id DESC',
+  start_desc: 'i.start_date DESC, i.id DESC',
+  start_asc:  'i.start_date ASC, i.id ASC',
+  newest:     'i.id DESC',
+};
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 使用者輸入 → BOOLEAN MODE：每個字都要出現（+），允許前綴（*）；去掉運算子避免語法錯誤
+function toBooleanQuery(q) {
+  return String(q || '')
+    .replace(/[+\-><()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 10)
+    .map(w => `+${w}*`)
+    .join(' ');
+}
+function escapeLike(str) {
+  return String(str).replace(/[\\%_]/g, '\\$&');
+}
+
+app.get('/api/itineraries/search', optionalFirebaseToken, async (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, 200);
+  const { from, to, email } = req.query;
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).send({ message: 'from/to must be YYYY-MM-DD.' });
+  }
+  const limitNum = parseInt(req.query.limit, 10);
+  const limit = Number.isInteger(limitNum) && limitNum > 0 ? Math.min(limitNum, LIST_MAX_LIMIT) : LIST_DEFAULT_LIMIT;
+  let offset = 0;
+  if (req.query.cursor) {
+    const c = decodeCursor(req.query.cursor);
+    if (!c || c.v !== 'offset' || c.id < 0) return res.status(400).send({ message: 'Invalid cursor.' });
+    offset = c.id;
+  }
+  const booleanQuery = toBooleanQuery(q);
+  let sort = SEARCH_SORTS[req.query.sort] ? req.query.sort : 'relevance';
+  if (sort === 'relevance' && !q) sort = 'start_desc';
+
+  const visible = access.listFilter(req.user?.email);
+  const where = [visible.sql];
+  const params = [...visible.params];
+  if (q) {
+    // 字太短（< innodb_ft_min_token_size）FULLTEXT 會找不到，所以 email 與 title 另外用 LIKE 補
+    const conds = ['t.email LIKE ?', 'i.title LIKE ?'];
+    const likeParams = [`%${escapeLike(q)}%`, `%${escapeLike(q)}%`];
+    if (booleanQuery) conds.unshift('MATCH(i.title, i.destination, i.short_description, i.detail_description) AGAINST(? IN BOOLEAN MODE)');
+    where.push(`(${conds.join(' OR ')})`);
+    if (booleanQuery) params.push(booleanQuery);
+    params.push(...likeParams);
+  }
+  // 日期重疊：行程 [start, end] 跟查詢區間 [from, to] 有交集
+  if (from) { where.push('i.end_date >= ?'); params.push(from); }
+  if (to) { where.push('i.start_date <= ?'); params.push(to); }
+  if (email) { where.push('t.email = ?'); params.push(String(email)); }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+  const scoreSql = booleanQuery
+    ? 'MATCH(i.title, i.destination, i.short_description, i.detail_description) AGAINST(? IN BOOLEAN MODE)'
+    : '0';
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT i.id, i.title, i.destination, i.start_date, i.end_date, i.short_description, i.visibility, t.email AS traveller_email,
+              ${scoreSql} AS score
+       FROM itineraries i JOIN travellers t ON i.traveller_id = t.id
+       ${whereSql}
+       ORDER BY ${SEARCH_SORTS[sort]}
+       LIMIT ${limit + 1} OFFSET ${offset}`,
+      booleanQuery ? [booleanQuery, ...params] : params,
+    );
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) AS total FROM itineraries i JOIN travellers t ON i.traveller_id = t.id ${whereSql}`,
+      params,
+    );
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    log('INFO', '[SEARCH]', { reqId: req._reqId, q, from, to, email, sort, offset, hits: page.length, total: Number(total) });
+    res.send({
+      items: page.map((row) => ({
+        ...row,
+        score: Number(row.score) || 0,
+        start_date: formatDate(row.start_date),
+        end_date: formatDate(row.end_date),
+      })),
+      nextCursor: hasMore ? Buffer.from(JSON.stringify({ v: 'offset', id: offset + limit })).toString('base64url') : null,
+      total: Number(total),
+      sort,
+    });
+  } catch (error) {
+    log('ERROR', '[SEARCH] server error', { error: String(error?.message || error) });
+    res.status(500).send({ message: 'Server error searching itineraries.' });
+  }
+});
+
+app.get('/api/itineraries/detail/:id', optionalFirebaseToken, requireReadable, async (req, res) => {
   const { id } = req.params;
   try {
     const [rows] = await pool.execute(
@@ -572,58 +909,240 @@ app.get('/api/itineraries/detail/:id', async (req, res) => {
   }
 });
 
-app.put('/api/itineraries/:id', verifyFirebaseToken, async (req, res) => {
+// 讀回 AI 建議（aiSuggestions/{id}），前端 startAiPolling 會輪詢這支
+// job：最近一筆 AI job 的狀態（queued / running 代表還在產生，前端要繼續等）
+app.get('/api/itineraries/:id/ai', optionalFirebaseToken, requireReadable, async (req, res) => {
+  try {
+    const itineraryId = String(req.params.id);
+    const [snap, jobs] = await Promise.all([
+      db.collection(AI_COL).doc(itineraryId).get(),
+      aiJobs.latestForItinerary(itineraryId, { limit: 1 }).catch((e) => {
+        log('WARN', '[AI READ] job lookup failed', { id: itineraryId, error: String(e?.message || e) });
+        return [];
+      }),
+    ]);
+    const job = publicJob(jobs[0]);
+    if (!snap.exists) return res.status(404).send({ message: 'AI record not found yet.', job });
+    const data = snap.data();
+    log('INFO', '[AI READ]', { id: itineraryId, status: data?.status, hasText: !!data?.suggestion, job: job?.status });
+    return res.send({ id: itineraryId, ...data, createdAt: tsMillis(data.createdAt), outdatedAt: tsMillis(data.outdatedAt), job });
+  } catch (err) {
+    log('ERROR', '[AI READ] failed', { error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to load AI record.' });
+  }
+});
+
+// SSE：邊產生邊推 AI 建議（startAiPolling 之前先試這支，失敗才退回輪詢）
+//   event: snapshot  { text }            連上時已經產生的部分
+//   event: start / token { text } / reset 本 instance 的 worker 正在產生
+//   event: failed    { error }            這次嘗試失敗（job 之後會重試，連線不關）
+//   event: status    { job }              job 在排隊 / 在別的 instance 跑，沒有 token 可推
+//   event: done      { status, suggestion, version, ... }  結束，連線關閉
+//   event: error / timeout                放棄，前端改回輪詢
+const AI_STREAM_CHECK_MS = parseInt(process.env.AI_STREAM_CHECK_MS || '3000', 10);
+const AI_STREAM_MAX_MS = parseInt(process.env.AI_STREAM_MAX_MS || '180000', 10);
+app.get('/api/itineraries/:id/ai/stream', optionalFirebaseToken, requireReadable, async (req, res) => {
+  const id = String(req.params.id);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let checking = false;
+  const timers = [];
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    timers.forEach(t => clearInterval(t));
+    res.end();
+  };
+
+  const unsubscribe = aiStreams.subscribe(id, (evt) => {
+    const { type, ...data } = evt;
+    send(type, data);
+    if (type === 'done') finish();
+  });
+
+  // 本 instance 沒在產生的時候，看 job / Firestore 決定要繼續等還是直接給結果
+  async function check() {
+    if (closed || checking || aiStreams.snapshot(id)) return;
+    checking = true;
+    try {
+      const [snap, jobs] = await Promise.all([
+        db.collection(AI_COL).doc(id).get(),
+        aiJobs.latestForItinerary(id, { limit: 1 }).catch(() => []),
+      ]);
+      const job = publicJob(jobs[0]);
+      const data = snap.exists ? snap.data() : null;
+      // 前景晚到的結果已經寫好了，延後的補位 job 還沒輪到（輪到時會直接跳過）→ 不用等它
+      const waitingForJob = job && (job.status === 'running' || (job.status === 'queued' &&
+        !(data?.status === 'ok' && !data.outdated && job.next_run_at > Date.now())));
+      if (waitingForJob) {
+        send('status', { job });
+        if (job.status === 'queued') aiJobWorker.kick();
+        return;
+      }
+      if (data?.status === 'ok') {
+        send('done', {
+          status: 'ok', suggestion: data.suggestion, version: data.currentVersion || null,
+          provider: data.provider, model: data.model, outdated: !!data.outdated,
+        });
+      } else {
+        send('error', { status: data?.status || null, job, message: 'No suggestion is being generated.' });
+      }
+      finish();
+    } catch (err) {
+      log('ERROR', '[AI STREAM] check failed', { id, error: String(err?.message || err) });
+      send('error', { message: 'Failed to check AI status.' });
+      finish();
+    } finally {
+      checking = false;
+    }
+  }
+
+  const current = aiStreams.snapshot(id);
+  if (current) send('snapshot', { text: current.text, ...current.meta });
+  else await check();
+  if (closed) return;
+
+  timers.push(setInterval(check, AI_STREAM_CHECK_MS));
+  timers.push(setInterval(() => { if (!closed) res.write(': ping\n\n'); }, 15000)); // 讓 proxy 不要把閒置連線砍掉
+  const deadline = setTimeout(() => { send('timeout', {}); finish(); }, AI_STREAM_MAX_MS);
+  timers.push(deadline);
+  req.on('close', finish);
+  log('INFO', '[AI STREAM] open', { reqId: req._reqId, id, live: !!current });
+});
+
+// 重新產生一份建議（owner 限定）：排進 job queue，舊版本都留在 versions 裡
+app.post('/api/itineraries/:id/ai/regenerate', verifyFirebaseToken, rateLimit('ai'), async (req, res) => {
   const { id } = req.params;
-  const { title, destination, start_date, end_date, short_description, detail_description } = req.body;
-  if (!title || !destination || !start_date || !end_date || (short_description && short_description.length > 80)) {
-    return res.status(400).send({ message: 'Missing required fields or invalid short description.' });
+  try {
+    if (!(await access.canManage(id, req.user?.email))) {
+      return res.status(403).send({ message: 'Only owners can regenerate the AI suggestion.' });
+    }
+    const job = await enqueueAiSuggestion(id, { force: true, reason: 'regenerate', requestedBy: req.user.email });
+    log('INFO', '[AI REGENERATE] queued', { id, jobId: job.id, by: req.user.email });
+    return res.status(202).send({ message: 'Regeneration queued.', job: publicJob(job) });
+  } catch (err) {
+    log('ERROR', '[AI REGENERATE] failed', { id, error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to queue regeneration.' });
+  }
+});
+
+// 所有版本（新到舊）
+app.get('/api/itineraries/:id/ai/versions', optionalFirebaseToken, requireReadable, async (req, res) => {
+  try {
+    const docRef = db.collection(AI_COL).doc(String(req.params.id));
+    const [current, versions] = await Promise.all([
+      docRef.get(),
+      docRef.collection('versions').orderBy('version', 'desc').get(),
+    ]);
+    const items = versions.docs.map((d) => {
+      const v = d.data();
+      return {
+        version: v.version,
+        provider: v.provider,
+        model: v.model,
+        status: v.status,
+        finishReason: v.finishReason,
+        attempts: v.attempts || [],
+        reason: v.reason || 'create',
+        suggestion: v.suggestion,
+        createdAt: tsMillis(v.createdAt),
+      };
+    });
+    return res.send({ currentVersion: current.exists ? current.data().currentVersion || null : null, items });
+  } catch (err) {
+    log('ERROR', '[AI VERSIONS] failed', { error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to load AI versions.' });
   }
+});
+
+// 這個行程的 AI job 紀錄（新到舊），看重試次數 / 錯誤 / dead-letter 用
+app.get('/api/itineraries/:id/ai/jobs', optionalFirebaseToken, requireReadable, async (req, res) => {
+  try {
+    const jobs = await aiJobs.latestForItinerary(req.params.id, { limit: req.query.limit });
+    return res.send({ items: jobs.map(publicJob) });
+  } catch (err) {
+    log('ERROR', '[AI JOBS] list failed', { error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to load AI jobs.' });
+  }
+});
+
+app.put('/api/itineraries/:id', verifyFirebaseToken, async (req, res) => {
+  const { id } = req.params;
+  // 跟新增同一套檢查；visibility 沒帶就維持原本的（parseItineraryInput 會補 public，這裡不要）
+  const { errors, value } = parseItineraryInput(req.body);
+  if (errors.length) return res.status(400).send({ message: errors[0], errors });
+  const { title, destination, start_date, end_date, short_description, detail_description } = value;
+  const visibility = req.body?.visibility === undefined ? null : value.visibility;
   try {
     const email = req.user?.email;
-    const [rows] = await pool.execute(
-      `SELECT i.id FROM itineraries i JOIN travellers t ON i.traveller_id = t.id
-       WHERE i.id = ? AND t.email = ?`,
-      [id, email],
+    if (!(await access.canEdit(id, email))) {
+      return res.status(403).send({ message: 'You are not allowed to edit this itinerary.' });
+    }
+    const [cur] = await pool.execute(
+      'SELECT destination, start_date, end_date, visibility FROM itineraries WHERE id = ?',
+      [id],
     );
-    if (rows.length === 0) return res.status(403).send({ message: 'You are not the owner of this itinerary.' });
+    if (cur.length === 0) return res.status(404).send({ message: 'Itinerary not found or no changes made.' });
+    // editor 可以改內容，但可見度只有 owner 能改（沒帶或沒變就不檢查）
+    if (visibility !== null && cur[0].visibility !== visibility && !(await access.canManage(id, email))) {
+      return res.status(403).send({ message: 'Only owners can change visibility.' });
+    }
     const [result] = await pool.execute(
-      `UPDATE itineraries SET title=?, destination=?, start_date=?, end_date=?, short_description=?, detail_description=? WHERE id=?`,
-      [title, destination, start_date, end_date, short_description || '', detail_description || '', id],
+      `UPDATE itineraries SET title=?, destination=?, start_date=?, end_date=?, short_description=?, detail_description=?,
+         visibility=COALESCE(?, visibility) WHERE id=?`,
+      [title, destination, start_date, end_date, short_description, detail_description, visibility, id],
     );
     if (result.affectedRows === 0) return res.status(404).send({ message: 'Itinerary not found or no changes made.' });
-    res.send({ message: `Itinerary ID ${id} updated successfully.` });
+
+    // 目的地 / 日期變了，舊的 AI 建議就不準了：標成 outdated，背景重新產生
+    const changed = materialAiChanges(cur[0], { destination, start_date, end_date });
+    let ai = null;
+    if (changed.length) {
+      try {
+        ai = await refreshAiSuggestion(id, changed, email);
+      } catch (aiErr) {
+        log('ERROR', '[UPDATE] AI refresh failed', { id, changed, error: String(aiErr?.message || aiErr) });
+      }
+    }
+    res.send({ message: `Itinerary ID ${id} updated successfully.`, ai });
   } catch (error) {
     log('ERROR', '[UPDATE] server error', { error: String(error?.message || error) });
     res.status(500).send({ message: 'Server error during itinerary update.' });
   }
 });
 
-async function deleteFirestoreData(itineraryId) {
-  if (!itineraryId) return;
-  log('INFO', '[Firestore Cleanup] Starting', { itineraryId });
-  const likeParentDocRef = db.collection('likes').doc(itineraryId);
-  const commentParentDocRef = db.collection('comments').doc(itineraryId);
-  const deleteLikesPromise = db.recursiveDelete(likeParentDocRef);
-  const deleteCommentsPromise = db.recursiveDelete(commentParentDocRef);
-  try {
-    await Promise.all([deleteLikesPromise, deleteCommentsPromise]);
-    log('INFO', '[Firestore Cleanup] Done', { itineraryId });
-  } catch (err) {
-    log('ERROR', '[Firestore Cleanup] Error', { itineraryId, error: String(err?.message || err) });
+// 刪行程 + 通知正在看的人 + 背景清 Firestore（建立者刪除與管理員刪除共用）；行程不存在回 false
+async function removeItinerary(id) {
+  const [result] = await pool.execute('DELETE FROM itineraries WHERE id = ?', [id]);
+  if (result.affectedRows === 0) return false;
+  tripEvents.publish(id, 'itinerary.deleted', {});
+  if (!social.cascadesWithItinerary) {
+    social.deleteForItinerary(id).catch(err => log('ERROR', '[BG Cleanup Error]', { id, error: String(err?.message || err) }));
   }
+  // AI 建議（含 versions）不在 social repo 裡，一樣背景清
+  db.recursiveDelete(db.collection(AI_COL).doc(String(id)))
+    .catch(err => log('ERROR', '[BG Cleanup Error] aiSuggestions', { id, error: String(err?.message || err) }));
+  return true;
 }
+
 app.delete('/api/itineraries/:id', verifyFirebaseToken, async (req, res) => {
   const { id } = req.params;
   try {
-    const email = req.user?.email;
-    const [rows] = await pool.execute(
-      `SELECT i.id FROM itineraries i JOIN travellers t ON i.traveller_id = t.id WHERE i.id = ? AND t.email = ?`,
-      [id, email],
-    );
-    if (rows.length === 0) return res.status(403).send({ message: 'You are not authorized to delete this itinerary.' });
-    const [result] = await pool.execute('DELETE FROM itineraries WHERE id = ?', [id]);
-    if (result.affectedRows === 0) return res.status(404).send({ message: 'Itinerary not found.' });
-    deleteFirestoreData(id).catch(err => log('ERROR', '[BG Cleanup Error]', { id, error: String(err?.message || err) }));
+    if (!(await access.canManage(id, req.user?.email))) {
+      return res.status(403).send({ message: 'You are not authorized to delete this itinerary.' });
+    }
+    if (!(await removeItinerary(id))) return res.status(404).send({ message: 'Itinerary not found.' });
     res.send({ message: `Itinerary ID ${id} deleted successfully.` });
   } catch (error) {
     log('ERROR', '[DELETE] server error', { error: String(error?.message || error) });
@@ -631,74 +1150,193 @@ app.delete('/api/itineraries/:id', verifyFirebaseToken, async (req, res) => {
   }
 });
 
-// Likes / Comments（同你的原版，僅加 log）
-app.post('/api/itineraries/:id/like/toggle', verifyFirebaseToken, async (req, res) => {
+// Likes / Comments（走 repository 層，Firestore 或 MySQL）
+// 每次變動都丟一筆到 tripEvents，正在看這個行程的人（/events）會馬上收到
+const { createChannelHub } = require('./realtime/channel-hub');
+const tripEvents = createChannelHub();
+// 站內通知：讚 / 留言通知行程建立者，邀請通知被邀請的人（routes/collaborators.js）；不等它寫完才回應
+const { createNotifier } = require('./notifications');
+const notifier = createNotifier({ pool, log });
+
+app.post('/api/itineraries/:id/like/toggle', verifyFirebaseToken, rateLimit('social'), requireReadable, async (req, res) => {
   try {
     const itineraryId = req.params.id;
     const userEmail = req.user?.email;
     if (!userEmail) return res.status(400).send({ message: 'Missing user email in token.' });
-    const likeDocRef = db.collection('likes').doc(itineraryId).collection('userLikes').doc(userEmail);
-    const snap = await likeDocRef.get();
-    if (snap.exists) {
-      await likeDocRef.delete();
-      return res.send({ liked: false });
-    } else {
-      await likeDocRef.set({ email: userEmail, liked_at: Date.now() });
-      return res.send({ liked: true });
-    }
+    const liked = await social.toggleLike(itineraryId, userEmail);
+    res.send({ liked });
+    if (liked) notifier.notifyTripOwner({ type: 'like', actor: userEmail, itineraryId });
+    else notifier.retractLike({ actor: userEmail, itineraryId });
+    // 推數字而不是 +1/-1：兩個人同時按也不會算錯
+    social.countLikes(itineraryId)
+      .then(count => tripEvents.publish(itineraryId, 'like', { email: userEmail, liked, count }))
+      .catch(err => log('ERROR', '[REALTIME] like publish failed', { id: itineraryId, error: String(err?.message || err) }));
+    return;
   } catch (err) {
-    log('ERROR', 'toggle like error', { error: String(err?.message || err) });
+    if (err?.code === 'ITINERARY_NOT_FOUND') return res.status(404).send({ message: 'Itinerary not found.' });
+    log('ERROR', 'toggle like error', { store: social.name, error: String(err?.message || err) });
     return res.status(500).send({ message: 'Like failed' });
   }
 });
-app.get('/api/itineraries/:id/like/count', async (req, res) => {
+app.get('/api/itineraries/:id/like/count', optionalFirebaseToken, requireReadable, async (req, res) => {
   try {
-    const itineraryId = req.params.id;
-    const qs = await db.collection('likes').doc(itineraryId).collection('userLikes').get();
-    return res.send({ count: qs.size });
+    const count = await social.countLikes(req.params.id);
+    return res.send({ count });
   } catch (err) {
-    log('ERROR', 'get like count error', { error: String(err?.message || err) });
+    log('ERROR', 'get like count error', { store: social.name, error: String(err?.message || err) });
     return res.status(500).send({ message: 'Failed to get like count' });
   }
 });
-app.get('/api/itineraries/:id/like/list', async (req, res) => {
+app.get('/api/itineraries/:id/like/list', optionalFirebaseToken, requireReadable, async (req, res) => {
   try {
-    const itineraryId = req.params.id;
-    const qs = await db.collection('likes').doc(itineraryId).collection('userLikes').get();
-    const users = qs.docs.map((doc) => ({ email: doc.id, ...doc.data() }));
+    const users = await social.listLikes(req.params.id);
     return res.send({ users });
   } catch (err) {
-    log('ERROR', 'get like list error', { error: String(err?.message || err) });
+    log('ERROR', 'get like list error', { store: social.name, error: String(err?.message || err) });
     return res.status(500).send({ message: 'Failed to get like list' });
   }
 });
 
-// Comments
-app.get('/api/itineraries/:id/comments', async (req, res) => {
+// Comments（回覆 / 編輯 / @提及；@ 的規則在 mentions.js）
+const { parseMentions } = require('./mentions');
+// 被隱藏的留言：管理員看得到（前端標成 hidden），寫的人自己也看得到，其他人看不到
+async function visibleComments(comments, user) {
+  if (!comments.some(c => c.hidden_at)) return comments;
+  const isAdmin = await moderation.isAdmin(user);
+  return comments
+    .filter(c => !c.hidden_at || isAdmin || c.email === user?.email)
+    .map(({ hidden_by, ...c }) => (isAdmin ? { ...c, hidden_by } : c));
+}
+
+app.get('/api/itineraries/:id/comments', optionalFirebaseToken, requireReadable, async (req, res) => {
   try {
-    const itineraryId = req.params.id;
-    const qs = await db.collection('comments').doc(itineraryId).collection('items').orderBy('created_at', 'asc').get();
-    const comments = qs.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const comments = await visibleComments(await social.listComments(req.params.id), req.user);
     return res.send({ comments });
   } catch (err) {
-    log('ERROR', 'get comments error', { error: String(err?.message || err) });
+    log('ERROR', 'get comments error', { store: social.name, error: String(err?.message || err) });
     return res.status(500).send({ message: 'Failed to load comments' });
   }
 });
-app.post('/api/itineraries/:id/comments', verifyFirebaseToken, async (req, res) => {
+// 留言通知：被回覆的人（reply）> 被 @ 的人（mention）> 行程建立者（comment），同一個人只收一則；
+// reply / mention 都要還讀得到這個行程（例如被移出私人行程的協作者就不再收到留言摘錄）
+async function notifyCommentAudience(itineraryId, comment, { parentAuthor = null, mentions = comment.mentions, owner = true } = {}) {
+  const data = { comment_id: comment.id, excerpt: comment.text.slice(0, 120) };
+  const done = new Set([comment.email.toLowerCase()]);
+  const send = (type, recipient) => {
+    if (!recipient || done.has(recipient.toLowerCase())) return;
+    done.add(recipient.toLowerCase());
+    notifier.notify({ type, recipient, actor: comment.email, itineraryId, data });
+  };
+  try {
+    if (parentAuthor && await access.canRead(itineraryId, parentAuthor)) send('reply', parentAuthor);
+    for (const m of mentions) {
+      if (await access.canRead(itineraryId, m)) send('mention', m);
+    }
+    if (!owner) return;
+    const [rows] = await pool.execute(
+      'SELECT t.email FROM itineraries i JOIN travellers t ON i.traveller_id = t.id WHERE i.id = ?',
+      [itineraryId],
+    );
+    if (rows.length) send('comment', rows[0].email);
+  } catch (err) {
+    log('ERROR', '[NOTIFY] comment audience failed', { id: itineraryId, error: String(err?.message || err) });
+  }
+}
+
+app.post('/api/itineraries/:id/comments', verifyFirebaseToken, rateLimit('social'), requireReadable, async (req, res) => {
   try {
     const itineraryId = req.params.id;
     const email = req.user?.email;
     const text = (req.body?.text || '').toString().trim();
     if (!email || !text) return res.status(400).send({ message: 'Missing userEmail or text' });
-    const payload = { email, text, created_at: Date.now() };
-    const newDocRef = await db.collection('comments').doc(itineraryId).collection('items').add(payload);
-    return res.status(201).send({ id: newDocRef.id, ...payload });
+    // 回覆一律掛在最上層那則底下（只有一層），回覆的回覆前端會自動加 @對方
+    let parent = null;
+    if (req.body?.parent_id != null && req.body.parent_id !== '') {
+      parent = await social.getComment(itineraryId, req.body.parent_id);
+      if (!parent) return res.status(400).send({ message: 'The comment you are replying to no longer exists.' });
+    }
+    const comment = await social.addComment(itineraryId, {
+      email,
+      text,
+      parentId: parent ? (parent.parent_id || parent.id) : null,
+      mentions: parseMentions(text),
+    });
+    tripEvents.publish(itineraryId, 'comment.created', { comment });
+    notifyCommentAudience(itineraryId, comment, { parentAuthor: parent?.email });
+    return res.status(201).send(comment);
   } catch (err) {
-    log('ERROR', 'add comment error', { error: String(err?.message || err) });
+    if (err?.code === 'ITINERARY_NOT_FOUND') return res.status(404).send({ message: 'Itinerary not found.' });
+    log('ERROR', 'add comment error', { store: social.name, error: String(err?.message || err) });
     return res.status(500).send({ message: 'Failed to add comment' });
   }
 });
+// 只有寫留言的人能改；新加的 @ 才通知，原本就有的不再通知一次
+app.put('/api/itineraries/:id/comments/:commentId', verifyFirebaseToken, rateLimit('social'), requireReadable, async (req, res) => {
+  try {
+    const { id: itineraryId, commentId } = req.params;
+    const email = req.user?.email;
+    const text = (req.body?.text || '').toString().trim();
+    if (!text) return res.status(400).send({ message: 'Comment cannot be empty.' });
+    const current = await social.getComment(itineraryId, commentId);
+    if (!current) return res.status(404).send({ message: 'Comment not found' });
+    if (current.email !== email) return res.status(403).send({ message: 'Not allowed to edit this comment' });
+    const mentions = parseMentions(text);
+    const comment = await social.updateComment(itineraryId, commentId, { text, mentions });
+    if (!comment) return res.status(404).send({ message: 'Comment not found' });
+    // 被管理員隱藏的留言改了也只有作者自己看得到：不廣播內容、不發 @ 通知
+    tripEvents.publish(itineraryId, 'comment.updated', { comment: commentForViewers(comment) });
+    const added = mentions.filter(m => !(current.mentions || []).includes(m));
+    if (added.length && !comment.hidden_at) notifyCommentAudience(itineraryId, comment, { mentions: added, owner: false });
+    const { hidden_by, ...own } = comment;
+    return res.send(own);
+  } catch (err) {
+    log('ERROR', 'edit comment error', { store: social.name, error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to edit comment' });
+  }
+});
+app.delete('/api/itineraries/:id/comments/:commentId', verifyFirebaseToken, requireReadable, async (req, res) => {
+  try {
+    const { id: itineraryId, commentId } = req.params;
+    const email = req.user?.email;
+    const comment = await social.getComment(itineraryId, commentId);
+    if (!comment) return res.status(404).send({ message: 'Comment not found' });
+    if (comment.email !== email) return res.status(403).send({ message: 'Not allowed to delete this comment' });
+    await social.deleteComment(itineraryId, commentId);
+    tripEvents.publish(itineraryId, 'comment.deleted', { id: commentId });
+    return res.send({ message: 'Comment deleted' });
+  } catch (err) {
+    log('ERROR', 'delete comment error', { store: social.name, error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to delete comment' });
+  }
+});
+
+// 預算 / 花費 / 匯率（routes/budget.js）
+const { registerBudgetRoutes } = require('./routes/budget');
+registerBudgetRoutes(app, { pool, log, verifyFirebaseToken, access });
+
+// 匯入行程：JSON / CSV / .ics（routes/import.js）
+const { registerImportRoutes } = require('./routes/import');
+registerImportRoutes(app, { pool, log, verifyFirebaseToken, rateLimiter, parseItineraryInput, enqueueAiSuggestion });
+
+// iCalendar 匯出 / 訂閱連結（routes/calendar.js）
+const { registerCalendarRoutes } = require('./routes/calendar');
+registerCalendarRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, requireReadable });
+
+// 即時事件：likes / comments / 刪除（routes/realtime.js）
+const { registerRealtimeRoutes } = require('./routes/realtime');
+registerRealtimeRoutes(app, { log, optionalFirebaseToken, requireReadable, tripEvents });
+
+// Day-by-day plan（routes/itinerary-days.js）
+const { registerItineraryDayRoutes } = require('./routes/itinerary-days');
+registerItineraryDayRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, requireReadable, canEditItinerary });
+
+// 共同編輯者（邀請 / 接受 / 撤銷）
+const { registerCollaboratorRoutes } = require('./routes/collaborators');
+registerCollaboratorRoutes(app, { pool, log, verifyFirebaseToken, access, notifier });
+
+// 通知收件匣
+const { registerNotificationRoutes } = require('./routes/notifications');
+registerNotificationRoutes(app, { log, verifyFirebaseToken, notifier });
 
 // Travellers ensure
 const uploadMulter = multer({ storage: multer.memoryStorage() });
@@ -717,30 +1355,84 @@ app.post('/api/travellers/ensure', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// 個人檔案（顯示名稱 / 自我介紹 / 所在城市）與統計
+const { registerTravellerRoutes } = require('./routes/travellers');
+registerTravellerRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, access, social });
+
+// 追蹤旅人（動態牆 /api/feed 在上面的行程列表區）
+const { registerFollowRoutes } = require('./routes/follows');
+registerFollowRoutes(app, { pool, log, verifyFirebaseToken, optionalFirebaseToken, rateLimit });
+
+// 檢舉與管理員審核（隱藏 / 刪除內容、停權）；停權的擋法在上面的 verifyFirebaseToken
+const { registerModerationRoutes } = require('./routes/moderation');
+registerModerationRoutes(app, {
+  pool, log, verifyFirebaseToken, requireReadable, rateLimit, moderation, social, tripEvents, removeItinerary,
+});
+
 // Avatar 上傳
-app.post('/api/upload-avatar', verifyFirebaseToken, uploadMulter.single('avatar'), async (req, res) => {
+app.post('/api/upload-avatar', verifyFirebaseToken, rateLimit('upload'), uploadMulter.single('avatar'), async (req, res) => {
   try {
-    if (!storage) return res.status(503).send({ message: 'GCS client initializing, please retry in a moment.' });
+    if (!fileStorage.isReady()) return res.status(503).send({ message: 'Storage initializing, please retry in a moment.' });
     const email = req.user?.email;
     const file = req.file;
     if (!email) return res.status(400).send({ message: 'Missing user email in token.' });
     if (!file) return res.status(400).send({ message: 'Missing avatar file.' });
-    if (!BUCKET_NAME) return res.status(500).send({ message: 'Server misconfig: GCP_BUCKET_NAME is not set.' });
     if (file.mimetype !== 'image/jpeg' && file.mimetype !== 'image/jpg') {
       return res.status(400).send({ message: 'Only JPEG allowed.' });
     }
-    const destFileName = `avatar/${email}.jpg`;
-    const bucket = storage.bucket(BUCKET_NAME);
-    const gcFile = bucket.file(destFileName);
-    await gcFile.save(file.buffer, { metadata: { contentType: 'image/jpeg', cacheControl: 'public, max-age=3600' }, resumable: false, timeout: 30000 });
-    await gcFile.makePublic().catch(() => {});
+    await fileStorage.save(avatarKey(email), file.buffer, { contentType: 'image/jpeg', cacheControl: 'public, max-age=3600' });
     return res.status(200).send({ message: 'Avatar uploaded.' });
   } catch (err) {
-    log('ERROR', 'Upload avatar error', { error: String(err?.message || err) });
+    log('ERROR', 'Upload avatar error', { driver: fileStorage.name, error: String(err?.message || err) });
     return res.status(500).send({ message: 'Failed to upload avatar.' });
   }
 });
 
+// Avatar 讀取：前端不再寫死 bucket URL，一律走這支；找不到本人頭貼就回 default.jpg
+app.get('/api/avatars/:email', async (req, res) => {
+  const email = String(req.params.email || '');
+  try {
+    if (!fileStorage.isReady()) return res.status(503).send({ message: 'Storage initializing, please retry in a moment.' });
+    const keys = email && email !== 'default' ? [avatarKey(email), DEFAULT_AVATAR_KEY] : [DEFAULT_AVATAR_KEY];
+    for (const key of keys) {
+      const obj = await fileStorage.open(key);
+      if (!obj) continue;
+      res.set('Content-Type', obj.contentType);
+      res.set('Cache-Control', 'public, max-age=300');
+      if (obj.size !== undefined) res.set('Content-Length', String(obj.size));
+      obj.stream.on('error', (err) => {
+        log('ERROR', '[Avatar] stream error', { key, error: String(err?.message || err) });
+        res.destroy(err);
+      });
+      return obj.stream.pipe(res);
+    }
+    return res.status(404).send({ message: 'Avatar not found.' });
+  } catch (err) {
+    if (err?.code === 'STORAGE_BAD_KEY') return res.status(400).send({ message: 'Invalid avatar name.' });
+    log('ERROR', '[Avatar] read error', { driver: fileStorage.name, email, error: String(err?.message || err) });
+    return res.status(500).send({ message: 'Failed to load avatar.' });
+  }
+});
+
+// 個人資料匯出：打包成 ZIP 給本人下載（routes/privacy.js、privacy/export.js）
+const { createDataExporter } = require('./privacy/export');
+const dataExporter = createDataExporter({
+  pool, db, social, fileStorage, avatarKey, log,
+  getAuthUser: (email) => admin.auth().getUserByEmail(email),
+  aiCollection: AI_COL,
+});
+const { registerPrivacyRoutes } = require('./routes/privacy');
+const { createAccountDeleter } = require('./privacy/account-deletion');
+const accountDeleter = createAccountDeleter({
+  pool, db, social, fileStorage, avatarKey, log,
+  deleteAuthUser: (uid) => admin.auth().deleteUser(uid),
+  aiCollection: AI_COL,
+});
+registerPrivacyRoutes(app, {
+  pool, log, verifyFirebaseToken, rateLimit, exporter: dataExporter, fileStorage, accountDeleter,
+  onItineraryDeleted: (id) => tripEvents.publish(id, 'itinerary.deleted', {}),
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 14) 全域錯誤處理與啟動日誌
 process.on('unhandledRejection', (reason) => {
@@ -749,12 +1441,34 @@ process.on('unhandledRejection', (reason) => {
 process.on('uncaughtException', (err) => {
   log('ERROR', '[uncaughtException]', { error: String(err?.message || err), stack: err?.stack });
 });
+// Cloud Run 縮容前會送 SIGTERM：停止領新 job，跑到一半的 lease 過期後會被其他 instance 接手
+process.on('SIGTERM', () => {
+  aiJobWorker.stop();
+  process.exit(0);
+});
 
 const PORT = process.env.PORT || 3000;
 const HOST = '0.0.0.0';
 
 log('INFO', 'Starting service…', { env: safeEnvDump() });
 
-app.listen(PORT, HOST, () => {
-  log('INFO', `Backend listening`, { url: `http://${HOST}:${PORT}`, startedMs: Date.now() - startTime });
-});
+// MIGRATE_ON_START=true：listen 前先把 schema 升到最新；失敗就不要起服務（避免新程式跑在舊 schema 上）
+async function migrateOnStart() {
+  if (process.env.MIGRATE_ON_START !== 'true') return;
+  const { createMigrator } = require('./migrate');
+  const applied = await createMigrator({ pool, log }).up();
+  log('INFO', '[Migrate] startup migrations done', { applied });
+}
+
+migrateOnStart()
+  .then(() => {
+    app.listen(PORT, HOST, () => {
+      log('INFO', `Backend listening`, { url: `http://${HOST}:${PORT}`, startedMs: Date.now() - startTime });
+    });
+    // AI_JOB_WORKER=false：這個 instance 只接 API，不跑背景 job
+    if (process.env.AI_JOB_WORKER !== 'false') aiJobWorker.start();
+  })
+  .catch((err) => {
+    log('ERROR', '[Migrate] startup migrations failed', { error: String(err?.message || err) });
+    process.exit(1);
+  });
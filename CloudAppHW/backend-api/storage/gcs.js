@@ -0,0 +1,52 @@
+// storage/gcs.js — Google Cloud Storage driver
+// client 由 server.js 的 initGcs() 非同步建立，這裡只拿 getter，避免啟動順序問題。
+
+function createGcsDriver({ bucketName, getClient, log }) {
+  if (!bucketName) throw new Error('GCS storage driver requires GCP_BUCKET_NAME');
+
+  const bucket = () => {
+    const client = getClient && getClient();
+    if (!client) {
+      const err = new Error('GCS client initializing, please retry in a moment.');
+      err.code = 'STORAGE_NOT_READY';
+      throw err;
+    }
+    return client.bucket(bucketName);
+  };
+
+  return {
+    name: 'gcs',
+    describe: () => ({ bucket: bucketName }),
+    isReady: () => !!(getClient && getClient()),
+
+    async save(key, buffer, { contentType = 'application/octet-stream', cacheControl = 'public, max-age=3600', isPublic = true } = {}) {
+      const file = bucket().file(key);
+      await file.save(buffer, { metadata: { contentType, cacheControl }, resumable: false, timeout: 30000 });
+      if (isPublic) await file.makePublic().catch((e) => log('WARN', '[Storage:gcs] makePublic failed', { key, error: String(e?.message || e) }));
+      log('INFO', '[Storage:gcs] saved', { key, bytes: buffer.length });
+    },
+
+    async open(key) {
+      const file = bucket().file(key);
+      const [exists] = await file.exists();
+      if (!exists) return null;
+      const [meta] = await file.getMetadata();
+      return {
+        stream: file.createReadStream(),
+        contentType: meta?.contentType || 'application/octet-stream',
+        size: meta?.size ? Number(meta.size) : undefined,
+      };
+    },
+
+    async remove(key) {
+      const file = bucket().file(key);
+      const [exists] = await file.exists();
+      if (!exists) return false;
+      await file.delete();
+      log('INFO', '[Storage:gcs] removed', { key });
+      return true;
+    },
+  };
+}
+
+module.exports = { createGcsDriver };
@@ -0,0 +1,40 @@
+// storage/index.js — 頭貼等檔案的儲存抽象層
+// driver 由 STORAGE_DRIVER 決定（gcs | local）；未設定時：有 GCP_BUCKET_NAME 用 gcs，否則 local。
+//
+// 每個 driver 都提供同一組介面（key 是 bucket 內的相對路徑，例如 avatar/a@b.com.jpg）：
+//   save(key, buffer, { contentType, cacheControl, isPublic })  isPublic=false：不開公開讀取（例如個人資料匯出）
+//   open(key)   → { stream, contentType, size } 或 null（不存在）
+//   remove(key) → true / false
+//   isReady()   → driver 是否可用（GCS client 是 async 初始化）
+
+const { createGcsDriver } = require('./gcs');
+const { createLocalDriver } = require('./local');
+
+function resolveDriverName(env = process.env) {
+  const explicit = (env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  return env.GCP_BUCKET_NAME ? 'gcs' : 'local';
+}
+
+function createStorage({ env = process.env, log, getGcsClient } = {}) {
+  const name = resolveDriverName(env);
+  let driver;
+  if (name === 'gcs') {
+    driver = createGcsDriver({ bucketName: env.GCP_BUCKET_NAME, getClient: getGcsClient, log });
+  } else if (name === 'local') {
+    driver = createLocalDriver({ rootDir: env.LOCAL_STORAGE_DIR, log });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+  }
+  log('INFO', '[Storage] driver selected', { driver: driver.name, ...driver.describe() });
+  return driver;
+}
+
+// 頭貼 key：統一放在 avatar/ 底下
+const AVATAR_PREFIX = 'avatar/';
+const DEFAULT_AVATAR_KEY = `${AVATAR_PREFIX}default.jpg`;
+function avatarKey(email) {
+  return `${AVATAR_PREFIX}${email}.jpg`;
+}
+
+module.exports = { createStorage, resolveDriverName, avatarKey, DEFAULT_AVATAR_KEY };
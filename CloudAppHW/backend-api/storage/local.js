@@ -0,0 +1,73 @@
+// storage/local.js — 本機檔案系統 driver（開發機 / on-prem，不需要 bucket）
+// 檔案放在 LOCAL_STORAGE_DIR（預設 backend-api/uploads），content-type 另存在 <file>.meta.json。
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+function createLocalDriver({ rootDir, log }) {
+  const root = path.resolve(rootDir || path.join(__dirname, '..', 'uploads'));
+
+  // 防 path traversal：key 解析後一定要落在 root 底下
+  function resolveKey(key) {
+    const full = path.resolve(root, String(key));
+    if (full !== root && !full.startsWith(root + path.sep)) {
+      const err = new Error(`Invalid storage key: ${key}`);
+      err.code = 'STORAGE_BAD_KEY';
+      throw err;
+    }
+    return full;
+  }
+  const metaPath = (full) => `${full}.meta.json`;
+  // 手動放進來的檔案（例如 default.jpg）沒有 meta，就用副檔名猜
+  const EXT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.json': 'application/json' };
+
+  return {
+    name: 'local',
+    describe: () => ({ rootDir: root }),
+    isReady: () => true,
+
+    async save(key, buffer, { contentType = 'application/octet-stream', cacheControl } = {}) {
+      const full = resolveKey(key);
+      await fsp.mkdir(path.dirname(full), { recursive: true });
+      // 先寫暫存檔再 rename，避免讀到寫一半的圖
+      const tmp = `${full}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, buffer);
+      await fsp.rename(tmp, full);
+      await fsp.writeFile(metaPath(full), JSON.stringify({ contentType, cacheControl }));
+      log('INFO', '[Storage:local] saved', { key, bytes: buffer.length });
+    },
+
+    async open(key) {
+      const full = resolveKey(key);
+      let stat;
+      try {
+        stat = await fsp.stat(full);
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+      if (!stat.isFile()) return null;
+      let contentType = EXT_TYPES[path.extname(full).toLowerCase()] || 'application/octet-stream';
+      try {
+        contentType = JSON.parse(await fsp.readFile(metaPath(full), 'utf8')).contentType || contentType;
+      } catch (_) { /* 沒有 meta 就用副檔名 */ }
+      return { stream: fs.createReadStream(full), contentType, size: stat.size };
+    },
+
+    async remove(key) {
+      const full = resolveKey(key);
+      try {
+        await fsp.unlink(full);
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+      await fsp.unlink(metaPath(full)).catch(() => {});
+      log('INFO', '[Storage:local] removed', { key });
+      return true;
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
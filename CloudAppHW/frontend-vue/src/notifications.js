@@ -0,0 +1,88 @@
+// frontend-vue/src/notifications.js
+// 通知收件匣的共用狀態。放在 module 裡而不是元件裡：App.vue 的 header 在 isLoading 時會整個換掉，
+// 鈴鐺元件會被重建，狀態留在這裡才不會每次都歸零。
+// 這裡的請求都帶 { background: true }，App.vue 的 axios 攔截器看到就不會蓋上 loading 遮罩。
+//
+//   startNotificationPolling() / stopNotificationPolling()   ← App.vue 依登入狀態呼叫
+//   unreadCount / notifications / nextCursor                  ← 鈴鐺元件直接讀
+//   loadNotifications({ more }) / markNotificationsRead(ids | null)
+
+import { ref } from 'vue';
+import axios from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+const POLL_MS = 60 * 1000;
+const PAGE_SIZE = 15;
+
+export const unreadCount = ref(0);
+export const notifications = ref([]);
+export const nextCursor = ref(null);
+export const loadingNotifications = ref(false);
+
+let timer = null;
+
+export async function refreshUnread() {
+  try {
+    const res = await axios.get(`${API_BASE_URL}/api/notifications/unread-count`, { background: true });
+    unreadCount.value = res.data.unread || 0;
+  } catch (err) {
+    console.error('Failed to load unread notifications', err);
+  }
+}
+
+function onFocus() {
+  if (document.visibilityState === 'visible') refreshUnread();
+}
+
+export function startNotificationPolling() {
+  stopNotificationPolling();
+  refreshUnread();
+  timer = setInterval(() => {
+    if (document.visibilityState === 'visible') refreshUnread();
+  }, POLL_MS);
+  document.addEventListener('visibilitychange', onFocus);
+}
+
+export function stopNotificationPolling() {
+  clearInterval(timer);
+  timer = null;
+  document.removeEventListener('visibilitychange', onFocus);
+  unreadCount.value = 0;
+  notifications.value = [];
+  nextCursor.value = null;
+}
+
+export async function loadNotifications({ more = false } = {}) {
+  if (loadingNotifications.value) return;
+  loadingNotifications.value = true;
+  try {
+    const res = await axios.get(`${API_BASE_URL}/api/notifications`, {
+      background: true,
+      params: { limit: PAGE_SIZE, cursor: more ? nextCursor.value || undefined : undefined }
+    });
+    const items = res.data.items || [];
+    notifications.value = more ? notifications.value.concat(items) : items;
+    nextCursor.value = res.data.nextCursor || null;
+    unreadCount.value = res.data.unread ?? unreadCount.value;
+  } catch (err) {
+    console.error('Failed to load notifications', err);
+  } finally {
+    loadingNotifications.value = false;
+  }
+}
+
+export async function markNotificationsRead(ids = null) {
+  const now = Date.now();
+  const hit = (n) => !n.read_at && (!ids || ids.includes(n.id));
+  notifications.value = notifications.value.map(n => (hit(n) ? { ...n, read_at: now } : n));
+  try {
+    const res = await axios.post(
+        `${API_BASE_URL}/api/notifications/read`,
+        ids ? { ids } : {},
+        { background: true }
+    );
+    unreadCount.value = res.data.unread ?? 0;
+  } catch (err) {
+    console.error('Failed to mark notifications as read', err);
+  }
+}
@@ -0,0 +1,58 @@
+// frontend-vue/src/sse.js
+// 讀 Server-Sent Events。瀏覽器的 EventSource 不能帶 Authorization header（private 行程要驗證），
+// 所以改用 fetch 讀 body 自己切事件；token 沿用 App.vue 設在 axios 上的那個。
+//
+//   const ctrl = new AbortController();
+//   await openEventStream(url, { signal: ctrl.signal, lastEventId, onEvent: (event, data, id) => { ... } });
+//   // 伺服器關連線時 resolve；非 2xx（err.status）/ 網路錯誤會 reject；ctrl.abort() 則是 AbortError
+// 自動重連不在這裡做（EventSource 那套），要重連的呼叫端自己帶上次收到的 id 再開一次。
+
+import axios from 'axios';
+
+export async function openEventStream(url, { signal, onEvent, lastEventId = null }) {
+  const headers = { Accept: 'text/event-stream' };
+  const auth = axios.defaults.headers.common['Authorization'];
+  if (auth) headers.Authorization = auth;
+  if (lastEventId != null) headers['Last-Event-ID'] = String(lastEventId);
+
+  const res = await fetch(url, { headers, signal, cache: 'no-store' });
+  if (!res.ok || !res.body) {
+    const err = new Error(`Stream failed: HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      dispatch(block, onEvent);
+    }
+  }
+}
+
+function dispatch(block, onEvent) {
+  let event = 'message';
+  let id = null;
+  const lines = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue; // 空行 / 註解（心跳）
+    const sep = line.indexOf(':');
+    const field = sep < 0 ? line : line.slice(0, sep);
+    const value = sep < 0 ? '' : line.slice(sep + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') lines.push(value);
+    else if (field === 'id') id = value;
+  }
+  if (!lines.length) return;
+  let data = lines.join('\n');
+  try { data = JSON.parse(data); } catch { /* 不是 JSON 就原樣給 */ }
+  onEvent(event, data, id);
+}
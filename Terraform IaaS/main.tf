@@ -82,14 +82,16 @@ SQL1
 
 mysql < /home/iambjlu/PhpStormProjects/sql1.sql || true
 
+# 資料表：release zip（1141104）還沒有 migrate.js / migrations，先照舊貼 DDL；
+# 用 IF NOT EXISTS，之後換成有 migrations 的 release 時 migration 001 只會被記錄成 applied
 cat <<'SQL2' >/home/iambjlu/PhpStormProjects/sql2.sql
 USE travel_app_db;
-CREATE TABLE travellers (
+CREATE TABLE IF NOT EXISTS travellers (
     id INT AUTO_INCREMENT PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     name VARCHAR(255) NOT NULL
 );
-CREATE TABLE itineraries (
+CREATE TABLE IF NOT EXISTS itineraries (
     id INT AUTO_INCREMENT PRIMARY KEY,
     traveller_id INT NOT NULL,
     title VARCHAR(255) NOT NULL,
@@ -152,7 +154,7 @@ npm install firebase
 echo 'VITE_API_BASE_URL=http://localhost:3000' >> /home/iambjlu/PhpStormProjects/CloudAppHW/frontend-vue/.env || true
 
 sudo su - <<'ROOTCMDS'
-nohup bash -c 'cd /home/iambjlu/PhpStormProjects/CloudAppHW/backend-api && node server.js' >/tmp/backend.log 2>&1 &
+nohup bash -c 'cd /home/iambjlu/PhpStormProjects/CloudAppHW/backend-api && { [ ! -f migrate.js ] || node migrate.js up; } && node server.js' >/tmp/backend.log 2>&1 &
 nohup bash -c 'cd /home/iambjlu/PhpStormProjects/CloudAppHW/frontend-vue && npm run dev -- --host 0.0.0.0' >/tmp/frontend.log 2>&1 &
 sudo systemctl start mysql;sudo systemctl status mysql
 ROOTCMDS
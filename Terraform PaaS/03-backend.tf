@@ -71,6 +71,11 @@ resource "google_cloud_run_v2_service" "backend" {
         name  = "GCP_BUCKET_NAME"
         value = var.GCP_BUCKET_NAME
       }
+      # 啟動時先跑 schema migration（migrate.js up），多個 instance 會用 MySQL lock 排隊
+      env {
+        name  = "MIGRATE_ON_START"
+        value = "true"
+      }
 
       # --- 修正結束 ---
     }
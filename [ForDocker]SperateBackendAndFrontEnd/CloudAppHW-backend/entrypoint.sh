@@ -20,15 +20,16 @@ FLUSH PRIVILEGES;
 EOF
 
 # 登入 MySQL 並建立表格 (模擬步驟 4 & 5)
+# Dockerfile 抓的 release zip（1141104）還沒有 migrate.js，DDL 先留著；IF NOT EXISTS 讓 migration 001 之後可以接手
 echo "Creating tables..."
 mysql -u cloudapp_user -p"mypassword" travel_app_db <<EOF
 USE travel_app_db;
-CREATE TABLE travellers (
+CREATE TABLE IF NOT EXISTS travellers (
     id INT AUTO_INCREMENT PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     name VARCHAR(255) NOT NULL
 );
-CREATE TABLE itineraries (
+CREATE TABLE IF NOT EXISTS itineraries (
     id INT AUTO_INCREMENT PRIMARY KEY,
     traveller_id INT NOT NULL,
     title VARCHAR(255) NOT NULL,
@@ -41,6 +42,12 @@ CREATE TABLE itineraries (
 );
 EOF
 
+# 有 migrations 的版本再補上後來的表（schema_migrations 記錄已套用的版本）
+if [ -f $PROJECT_DIR/backend-api/migrate.js ]; then
+  echo "Running database migrations..."
+  (cd $PROJECT_DIR/backend-api && node migrate.js up)
+fi
+
 # # 編輯 .env 檔案 (模擬步驟 6 & 7)
 # **請確認 API_URL 是您的 IP 或 CloudFront URL**
 # ENV_FILE="$PROJECT_DIR/frontend-vue/.env"